@@ -3,7 +3,8 @@ const {
     useMultiFileAuthState, 
     fetchLatestBaileysVersion, 
     Browsers,
-    makeInMemoryStore
+    makeInMemoryStore,
+    downloadMediaMessage
 } = require('@whiskeysockets/baileys');
 const config = require('./config/config');
 const settings = require('./config/settings');
@@ -13,7 +14,12 @@ const MessageCache = require('./src/cache/MessageCache');
 const GroupCache = require('./src/cache/GroupCache');
 const MediaProcessor = require('./src/modules/MediaProcessor');
 const Chatbot = require('./src/modules/Chatbot');
+const AntiDelete = require('./src/modules/AntiDelete');
+const EditTracker = require('./src/modules/EditTracker');
 const AutoFeatures = require('./src/modules/AutoFeatures');
+const StreamingReply = require('./src/lib/StreamingReply');
+const ChatExporter = require('./src/lib/ChatExporter');
+const TriggerPolicy = require('./src/chatbot/TriggerPolicy');
 
 class MeganBot {
     constructor() {
@@ -28,11 +34,15 @@ class MeganBot {
         this.isConnected = false;
         
         // Modules
-        this.messageCache = new MessageCache();
+        this.messageCache = new MessageCache(config, this.logger);
+        this.chatExporter = new ChatExporter(this.messageCache);
         this.groupCache = new GroupCache();
         this.mediaProcessor = new MediaProcessor();
-        this.chatbot = new Chatbot();
+        this.chatbot = new Chatbot(this);
+        this.triggerPolicy = new TriggerPolicy(jid => !!this.commandHandler?.isBotJid(jid), config.AI_GROUP_TRIGGER);
         this.autoFeatures = null;
+        this.antiDelete = new AntiDelete(this);
+        this.editTracker = new EditTracker(this);
         this.commandHandler = null;
         
         // Statistics
@@ -142,6 +152,13 @@ class MeganBot {
             await this.handleMessagesUpsert(messages, type);
         });
         
+        this.sock.ev.on('messages.update', async (updates) => {
+            await this.antiDelete.handleUpdates(updates).catch(error =>
+                this.logger.error(`Anti-delete failed: ${error.message}`, 'ANTIDELETE'));
+            await this.editTracker.handleUpdates(updates).catch(error =>
+                this.logger.error(`Edit tracking failed: ${error.message}`, 'EDITS'));
+        });
+        
         // Group updates
         this.sock.ev.on('groups.update', async (updates) => {
             await this.handleGroupsUpdate(updates);
@@ -237,6 +254,18 @@ class MeganBot {
         
         for (const msg of messages) {
             try {
+                // Deletions carry no content of their own; repost the original if configured
+                if (this.antiDelete.isRevoke(msg)) {
+                    await this.antiDelete.handleUpsert(msg);
+                    continue;
+                }
+                
+                // Edits update the cached message instead of being handled as new ones
+                if (this.editTracker.isEdit(msg)) {
+                    await this.editTracker.handleUpsert(msg);
+                    continue;
+                }
+                
                 // Log incoming message
                 const isGroup = msg.key.remoteJid.endsWith('@g.us');
                 this.logger.incomingMessage(msg, isGroup);
@@ -245,13 +274,18 @@ class MeganBot {
                 this.messageCache.cacheMessage(msg);
                 this.stats.messagesProcessed++;
                 
+                // Media links expire; keep the bytes (encrypted) in the background
+                this.persistMedia(msg).catch(error =>
+                    this.logger.warning(`Could not store media: ${error.message}`, 'CACHE'));
+                
                 // Handle auto-features
                 await this.autoFeatures.processMessage(msg);
                 
-                // Check for commands
+                // Check for commands (per-chat prefixes, mention or reply to the bot)
                 const text = this.extractMessageText(msg);
-                if (text && text.startsWith(this.config.PREFIX)) {
-                    await this.handleCommand(msg, text);
+                const commandMatch = this.commandHandler.matchPrefix(msg, text, msg.key.remoteJid, isGroup);
+                if (commandMatch) {
+                    await this.handleCommand(msg, text, commandMatch);
                 } 
                 // Handle AI chatbot
                 else if (!msg.key.fromMe && this.shouldRespondToChatbot(msg)) {
@@ -265,14 +299,14 @@ class MeganBot {
         }
     }
 
-    async handleCommand(msg, text) {
+    async handleCommand(msg, text, commandMatch = null) {
         try {
             const from = msg.key.remoteJid;
             const sender = msg.key.participant || from;
             const isGroup = from.endsWith('@g.us');
             
             // Process command
-            const result = await this.commandHandler.handleCommand(msg, text, from, sender, isGroup);
+            const result = await this.commandHandler.handleCommand(msg, text, from, sender, isGroup, commandMatch);
             
             if (!result.success && result.message) {
                 await this.sendMessage(from, {
@@ -292,12 +326,16 @@ class MeganBot {
 
     async handleChatbot(msg, text) {
         try {
-            if (!text || text.trim().length === 0) return;
+            const media = this.getChatMedia(msg);
+            if ((!text || text.trim().length === 0) && !media) return;
             
             const from = msg.key.remoteJid;
             const sender = msg.key.participant || from;
             const isGroup = from.endsWith('@g.us');
             
+            // "@bot question" should reach the AI as just "question"
+            if (isGroup) text = this.triggerPolicy.stripBotMention(text, msg);
+            
             // Get user settings
             const userSettings = this.settings.getUserSettings(sender);
             const groupSettings = isGroup ? this.settings.getGroupSettings(from) : {};
@@ -308,21 +346,79 @@ class MeganBot {
             
             if (!chatbotEnabled) return;
             
+            // Images go to a vision provider; voice notes are answered as their transcript
+            const mediaSettings = this.chatbot.getMediaSettings(sender, isGroup ? from : null);
+            let image = null;
+            let transcript = null;
+            
+            if (media?.type === 'image' && mediaSettings.image) {
+                const file = await this.downloadChatMedia(msg, media);
+                if (file) image = { data: file.buffer.toString('base64'), mimeType: file.mimeType };
+                if (!image && !text.trim()) return;
+                if (image && !text.trim()) text = this.config.AI_IMAGE_PROMPT || 'Describe this image.';
+            } else if (media?.type === 'voice') {
+                if (!mediaSettings.voice || !this.chatbot.transcriber.enabled) return;
+                
+                const audio = await this.downloadChatMedia(msg, media);
+                if (!audio) return;
+                
+                try {
+                    transcript = await this.chatbot.transcribe(audio.buffer, audio.mimeType);
+                } catch (error) {
+                    this.logger.warning(`Transcription failed: ${error.message}`, 'AI');
+                    await this.sendMessage(from, { text: "🎙️ Sorry, I couldn't make out that voice note." }, { quoted: msg });
+                    return;
+                }
+                
+                if (!transcript) return;
+                text = transcript;
+            }
+            
+            if (!text || text.trim().length === 0) return;
+            
             this.logger.aiResponse(text, 'Processing...', this.config.AI_PROVIDER);
             
+            // Streaming providers edit one message as tokens arrive; others reply once
+            const streamer = this.config.AI_STREAMING !== false
+                ? new StreamingReply(this, from, msg, { interval: this.config.AI_STREAM_INTERVAL })
+                : null;
+            
+            // Commands this chat lets the AI call on the sender's behalf
+            const tools = await this.commandHandler.getTools({ from, sender, isGroup });
+            
             // Get AI response
             const response = await this.chatbot.chat(text, sender, {
                 isGroup,
-                groupId: isGroup ? from : null
+                groupId: isGroup ? from : null,
+                onToken: streamer ? (delta, soFar) => streamer.update(transcript ? `🎙️ _${transcript}_\n\n${soFar}` : soFar) : undefined,
+                image,
+                tools,
+                runTool: (name, input) => this.commandHandler.runTool(name, input, { msg, from, sender, isGroup })
             });
             
             if (response.success) {
-                await this.sendMessage(from, {
-                    text: `${response.response}\n\n💬 *AI Assistant*\n${this.config.CHANNEL_LINK}`,
-                    footer: this.config.BOT_NAME
-                }, { quoted: msg });
+                const heard = transcript ? `🎙️ _${transcript}_\n\n` : '';
+                const replyText = `${heard}${response.response}\n\n💬 *${response.persona || 'AI Assistant'}*\n${this.config.CHANNEL_LINK}`;
+                
+                if (streamer?.started) {
+                    await streamer.finalize(this.withFooter(replyText));
+                } else {
+                    await this.sendMessage(from, {
+                        text: replyText,
+                        footer: this.config.BOT_NAME
+                    }, { quoted: msg });
+                }
                 
                 this.logger.aiResponse(text, response.response, response.provider);
+            } else {
+                // Every provider failed: say so rather than inventing a reply
+                this.logger.warning(`AI unavailable: ${response.error}`, 'AI');
+                
+                if (streamer?.started) {
+                    await streamer.finalize(this.withFooter(response.response));
+                } else {
+                    await this.sendMessage(from, { text: response.response }, { quoted: msg });
+                }
             }
             
         } catch (error) {
@@ -403,12 +499,85 @@ class MeganBot {
         if (msg.key.fromMe) return false;
         
         const text = this.extractMessageText(msg);
-        if (!text) return false;
+        if (!text && !this.getChatMedia(msg)) return false;
         
         // Check if it's a command
-        if (text.startsWith(this.config.PREFIX)) return false;
+        const isGroup = msg.key.remoteJid.endsWith('@g.us');
+        if (this.commandHandler?.matchPrefix(msg, text, msg.key.remoteJid, isGroup)) return false;
+        
+        // Groups answer according to their trigger mode; private chats always
+        if (!isGroup) return true;
         
-        return true;
+        const groupSettings = this.settings.getGroupSettings(msg.key.remoteJid);
+        return this.triggerPolicy.check(msg, text, groupSettings.aiTrigger) !== null;
+    }
+
+    // Images and voice notes the chatbot can take instead of (or with) text
+    getChatMedia(msg) {
+        const message = msg.message || {};
+        
+        if (message.imageMessage) {
+            return { type: 'image', content: message.imageMessage };
+        }
+        if (message.audioMessage?.ptt) {
+            return { type: 'voice', content: message.audioMessage };
+        }
+        return null;
+    }
+
+    // Download media for the AI as { buffer, mimeType }, or null when too big or gone
+    async downloadChatMedia(msg, media) {
+        const maxBytes = (this.config.AI_MAX_MEDIA_MB || 5) * 1024 * 1024;
+        if (Number(media.content.fileLength || 0) > maxBytes) {
+            this.logger.warning(`Skipping ${media.type} for AI: larger than ${maxBytes / 1024 / 1024}MB`, 'AI');
+            return null;
+        }
+        
+        try {
+            const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
+                logger: this.sock.logger,
+                reuploadRequest: this.sock.updateMediaMessage
+            });
+            
+            return {
+                buffer,
+                mimeType: (media.content.mimetype || (media.type === 'image' ? 'image/jpeg' : 'audio/ogg')).split(';')[0]
+            };
+        } catch (error) {
+            this.logger.warning(`Could not download ${media.type} for AI: ${error.message}`, 'AI');
+            return null;
+        }
+    }
+
+    // Download chosen media types into the encrypted media store (MEDIA_STORE_KEY).
+    // MEDIA_STORE_TYPES lists message types; 'viewOnce' matches view-once media of any type.
+    async persistMedia(msg) {
+        const cache = this.messageCache;
+        if (!cache.mediaStore.enabled || !msg.message) return;
+        
+        const type = cache.detectMessageType(msg);
+        const content = cache.unwrapViewOnce(msg.message)[`${type}Message`];
+        if (!content || type === 'text') return;
+        
+        const types = this.config.MEDIA_STORE_TYPES || ['viewOnce', 'image', 'video', 'audio', 'document', 'sticker'];
+        if (!types.includes(type) && !(types.includes('viewOnce') && cache.checkViewOnce(msg))) return;
+        
+        const maxBytes = (this.config.MEDIA_STORE_MAX_MB || 16) * 1024 * 1024;
+        if (Number(content.fileLength || 0) > maxBytes) return;
+        
+        const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
+            logger: this.sock.logger,
+            reuploadRequest: this.sock.updateMediaMessage
+        });
+        
+        await cache.storeMedia(msg.key.id, msg.key.remoteJid, buffer, content.mimetype || 'application/octet-stream');
+    }
+
+    // Bot name and channel link under a text, unless it already carries the link.
+    // Streamed replies are finalized through the socket directly, so they call this too.
+    withFooter(text) {
+        if (text.includes(this.config.CHANNEL_LINK)) return text;
+        return `${text}\n\n📢 *${this.config.BOT_NAME}*\n${this.config.CHANNEL_LINK}`;
     }
 
     // Message sending with enhanced features
@@ -420,10 +589,7 @@ class MeganBot {
             };
             
             // Add footer to text messages
-            if (content.text && !content.text.includes(this.config.CHANNEL_LINK)) {
-                const footer = `\n\n📢 *${this.config.BOT_NAME}*\n${this.config.CHANNEL_LINK}`;
-                content.text = content.text + footer;
-            }
+            if (content.text) content.text = this.withFooter(content.text);
             
             const result = await this.sock.sendMessage(to, content, defaultOptions);
             
@@ -522,7 +688,9 @@ class MeganBot {
         
         text += `⌨️ *Commands:*\n`;
         text += `• Total: ${stats.commands?.totalCommands || 0}\n`;
-        text += `• Categories: ${Object.keys(stats.commands?.categoryCounts || {}).length}\n\n`;
+        text += `• Categories: ${Object.keys(stats.commands?.categoryCounts || {}).length}\n`;
+        text += `• Rate Limited: ${stats.commands?.rateLimits?.limited || 0}\n`;
+        text += `• Active Cooldowns: ${stats.commands?.rateLimits?.activeCooldowns || 0}\n\n`;
         
         text += `🤖 *AI Chatbot:*\n`;
         text += `• Active Users: ${stats.chatbot?.activeUsers || 0}\n`;
@@ -547,6 +715,9 @@ class MeganBot {
                 this.store.writeToFile('./data/store.json');
             }
             
+            // Stop command file watchers
+            this.commandHandler?.unwatchCommands();
+            
             // Save message cache stats
             await this.messageCache.saveStats();
             
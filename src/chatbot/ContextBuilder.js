@@ -0,0 +1,96 @@
+// src/chatbot/ContextBuilder.js
+// Fits conversation history into a per-provider token budget and builds the
+// prompts used to fold older turns into a rolling summary.
+
+const DEFAULT_BUDGETS = {
+  'megan-fast': 1500,
+  'megan-base': 1500,
+  'megan-ultra': 1500,
+  'custom': 1500,
+  'openai': 4000,
+  'gemini': 8000
+};
+
+class ContextBuilder {
+  constructor(options = {}) {
+    this.budgets = { ...DEFAULT_BUDGETS, ...(options.budgets || {}) };
+    this.defaultBudget = options.defaultBudget || 1500;
+    this.replyReserve = options.replyReserve || 500;
+  }
+
+  // Rough count that errs on the high side (~4 chars per token, plus per-turn overhead)
+  estimateTokens(text = '') {
+    return Math.ceil(String(text).length / 4) + 4;
+  }
+
+  budgetFor(provider) {
+    return this.budgets[provider] || this.defaultBudget;
+  }
+
+  // Newest turns that fit next to the system prompt, summary and reply reserve.
+  // The last turn (the current prompt) is always kept.
+  build({ provider, systemPrompt = '', summary = '', history = [] }) {
+    const budget = this.budgetFor(provider);
+    let used = this.estimateTokens(systemPrompt) + (summary ? this.estimateTokens(summary) : 0) + this.replyReserve;
+
+    const turns = history.map(entry => ({ role: entry.role, message: entry.message }));
+    const kept = [];
+
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const cost = this.estimateTokens(turns[i].message);
+      if (kept.length > 0 && used + cost > budget) break;
+
+      kept.unshift(turns[i]);
+      used += cost;
+    }
+
+    return {
+      history: kept,
+      dropped: turns.length - kept.length,
+      tokens: used,
+      budget
+    };
+  }
+
+  // Plain-text transcript for providers that only take a single prompt string
+  renderTranscript({ systemPrompt = '', history = [], prompt }) {
+    const lines = [];
+    if (systemPrompt) lines.push(systemPrompt, '');
+
+    for (const turn of history) {
+      lines.push(`${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${turn.message}`);
+    }
+
+    const last = history[history.length - 1];
+    if (!last || last.role !== 'user' || last.message !== prompt) {
+      lines.push(`User: ${prompt}`);
+    }
+
+    lines.push('Assistant:');
+    return lines.join('\n');
+  }
+
+  // Instruction sent through the chat's own provider to fold old turns in
+  summaryPrompt(previousSummary, turns) {
+    const transcript = turns
+      .map(turn => `${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${turn.message}`)
+      .join('\n');
+
+    return [
+      'Update the running summary of this conversation.',
+      'Keep facts, names, preferences and open questions; drop greetings and filler.',
+      'Write at most 5 short sentences in the language the user writes in. Reply with the summary only.',
+      '',
+      `Current summary: ${previousSummary || '(none yet)'}`,
+      '',
+      'New messages:',
+      transcript
+    ].join('\n');
+  }
+
+  summarySystemPrompt() {
+    return 'You write concise, factual conversation summaries.';
+  }
+}
+
+module.exports = ContextBuilder;
@@ -1,83 +1,219 @@
 // src/chatbot/ModelRouter.js
-const axios = require('axios');
+// Tries an ordered chain of AI providers until one answers. Each provider gets
+// its own timeout, and a circuit breaker skips providers that keep failing
+// until their cooldown has passed. Latency and error counts are kept per provider.
+
+const DEFAULT_TIMEOUTS = {
+  'megan-fast': 10000,
+  'megan-base': 15000,
+  'megan-ultra': 20000,
+  'gemini': 20000,
+  'openai': 20000,
+  'custom': 15000
+};
 
 class ModelRouter {
-  constructor() {
-    this.models = {
-      'megan-fast': this.fastModel.bind(this),
-      'megan-base': this.baseModel.bind(this),
-      'megan-ultra': this.ultraModel.bind(this),
-      'cloudflare': this.cloudflareModel.bind(this)
-    };
-    this.enabled = true;
-    this.onlyInbox = true;
+  constructor(providers, options = {}) {
+    this.providers = providers;
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...(options.timeouts || {}) };
+    this.defaultTimeout = options.defaultTimeout || 15000;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldown = options.cooldown || 60 * 1000;
+    this.logger = options.logger || null;
+    this.metrics = new Map();
   }
 
-  async route(model, message, context) {
-    if (!this.enabled) return null;
-    
-    // Check if we should reply
-    if (this.onlyInbox && context.isGroup) {
-      return null; // Skip groups
+  // Preferred provider first, then the chain; unknown and duplicate names dropped
+  chainFor(preferred, chain = []) {
+    return [...new Set([preferred, ...chain])].filter(name => name && this.providers[name]);
+  }
+
+  timeoutFor(provider) {
+    return this.timeouts[provider] || this.defaultTimeout;
+  }
+
+  metricsFor(provider) {
+    if (!this.metrics.has(provider)) {
+      this.metrics.set(provider, {
+        calls: 0,
+        successes: 0,
+        failures: 0,
+        timeouts: 0,
+        skipped: 0,
+        totalLatency: 0,
+        lastLatency: 0,
+        lastError: null,
+        consecutiveFailures: 0,
+        openUntil: 0,
+        trialStartedAt: 0
+      });
     }
-    
-    const handler = this.models[model] || this.models['megan-fast'];
-    return await handler(message);
+    return this.metrics.get(provider);
   }
 
-  async fastModel(message) {
-    try {
-      const response = await axios.post(
-        'https://late-salad-9d56.youngwanga254.workers.dev',
-        { 
-          prompt: message,
-          model: '@cf/meta/llama-3.1-8b-instruct'
-        },
-        { timeout: 10000 }
-      );
-      return response.data.data?.response || 'No response';
-    } catch (error) {
-      console.error('Fast model error:', error.message);
-      return this.fallbackResponse(message);
+  // A trial that never reported back (a hung stream) stops blocking after one cooldown
+  trialRunning(m, now) {
+    return m.trialStartedAt > 0 && m.trialStartedAt > now - this.cooldown;
+  }
+
+  // Closed, or past its cooldown with no trial call running yet
+  isAvailable(provider, now = Date.now()) {
+    const m = this.metricsFor(provider);
+    if (m.openUntil === 0) return true;
+    return m.openUntil <= now && !this.trialRunning(m, now);
+  }
+
+  // Claim the right to call a provider. Once the cooldown ends exactly one caller
+  // gets the trial; everyone else is turned away until it succeeds or fails.
+  acquire(provider, now = Date.now()) {
+    if (!this.isAvailable(provider, now)) return false;
+
+    const m = this.metricsFor(provider);
+    if (m.openUntil > 0) m.trialStartedAt = now;
+    return true;
+  }
+
+  recordSuccess(provider, latency) {
+    const m = this.metricsFor(provider);
+    m.calls++;
+    m.successes++;
+    m.totalLatency += latency;
+    m.lastLatency = latency;
+    m.consecutiveFailures = 0;
+    m.openUntil = 0;
+    m.trialStartedAt = 0;
+  }
+
+  recordFailure(provider, error, latency) {
+    const m = this.metricsFor(provider);
+    m.calls++;
+    m.failures++;
+    m.totalLatency += latency;
+    m.lastLatency = latency;
+    m.lastError = error.message;
+    if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') m.timeouts++;
+
+    // A failed trial after cooldown reopens straight away
+    m.trialStartedAt = 0;
+    m.consecutiveFailures++;
+    if (m.consecutiveFailures >= this.failureThreshold || m.openUntil > 0) {
+      m.openUntil = Date.now() + this.cooldown;
+      this.logger?.warning(`⚡ AI provider ${provider} disabled for ${Math.round(this.cooldown / 1000)}s: ${error.message}`, 'AI');
     }
   }
 
-  async baseModel(message) {
+  // One provider call bounded by its timeout. Providers get the timeout and an
+  // abort signal, so a call the router gives up on stops its HTTP requests and
+  // runs no further tools. Tool rounds are extra requests, so each one adds to
+  // the overall limit.
+  async call(provider, prompt, context = {}) {
+    const timeout = this.timeoutFor(provider);
+    const limit = timeout * (1 + (context.maxToolRounds || 0));
+    const started = Date.now();
+    const controller = new AbortController();
+    let timer;
+
     try {
-      const response = await axios.post(
-        'https://late-salad-9d56.youngwanga254.workers.dev',
-        { 
-          prompt: message,
-          model: '@hf/thebloke/llama-2-13b-chat-awq'
-        },
-        { timeout: 15000 }
-      );
-      return response.data.data?.response || this.fastModel(message);
+      const result = await Promise.race([
+        this.providers[provider](prompt, { ...context, timeout, signal: controller.signal }),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => {
+            const error = new Error(`${provider} timed out after ${limit}ms`);
+            error.code = 'ETIMEDOUT';
+            controller.abort(error);
+            reject(error);
+          }, limit);
+        })
+      ]);
+
+      if (!result || !result.success) {
+        throw new Error(result?.error || `${provider} returned no answer`);
+      }
+
+      this.recordSuccess(provider, Date.now() - started);
+      return result;
     } catch (error) {
-      return this.fastModel(message);
+      this.recordFailure(provider, error, Date.now() - started);
+      throw error;
+    } finally {
+      clearTimeout(timer);
     }
   }
 
-  async ultraModel(message) {
-    return `[Ultra Mode] ${message}\n\nEnhanced response coming soon!`;
-  }
+  // First successful answer along the chain, or { success: false, unavailable: true }.
+  // Commands the model ran through tools have already had their effect, so once
+  // one has run a failure is final: replaying on the next provider would repeat them.
+  async route(chain, prompt, context = {}) {
+    const attempts = [];
+    let toolsRan = false;
+    if (context.runTool) {
+      const runTool = context.runTool;
+      context = { ...context, runTool: (...args) => { toolsRan = true; return runTool(...args); } };
+    }
+
+    for (const provider of chain) {
+      if (toolsRan) {
+        attempts.push({ provider, skipped: true, reason: 'tools already ran' });
+        continue;
+      }
+
+      if (!this.acquire(provider)) {
+        this.metricsFor(provider).skipped++;
+        attempts.push({ provider, skipped: true });
+        continue;
+      }
 
-  async cloudflareModel(message) {
-    return this.fastModel(message);
+      try {
+        // Per-provider context (history trimmed to that provider's budget) when the caller has one
+        const attempt = context.contextFor ? { ...context, ...context.contextFor(provider) } : context;
+        const result = await this.call(provider, prompt, attempt);
+        attempts.push({ provider, ok: true });
+        return { ...result, attempts };
+      } catch (error) {
+        attempts.push({ provider, ok: false, error: error.message });
+      }
+    }
+
+    return {
+      success: false,
+      unavailable: true,
+      error: attempts.map(a => `${a.provider}: ${a.skipped ? a.reason || 'circuit open' : a.error}`).join('; ') || 'no providers configured',
+      attempts
+    };
   }
 
-  fallbackResponse(message) {
-    const responses = [
-      `I heard: "${message.substring(0, 50)}..."`,
-      `Processing your message...`,
-      `Thanks for reaching out!`
-    ];
-    return responses[Math.floor(Math.random() * responses.length)];
+  getStats(now = Date.now()) {
+    const stats = {};
+
+    for (const [provider, m] of this.metrics) {
+      stats[provider] = {
+        calls: m.calls,
+        successes: m.successes,
+        failures: m.failures,
+        timeouts: m.timeouts,
+        skipped: m.skipped,
+        avgLatency: m.calls > 0 ? Math.round(m.totalLatency / m.calls) : 0,
+        lastLatency: m.lastLatency,
+        errorRate: m.calls > 0 ? Math.round((m.failures / m.calls) * 100) : 0,
+        lastError: m.lastError,
+        state: m.openUntil > now ? 'open' : m.openUntil > 0 ? 'half-open' : 'closed',
+        trialRunning: this.trialRunning(m, now),
+        reopensIn: Math.max(0, m.openUntil - now)
+      };
+    }
+
+    return stats;
   }
 
-  enable() { this.enabled = true; }
-  disable() { this.enabled = false; }
-  setInboxOnly(enable) { this.onlyInbox = enable; }
+  // Close every circuit (after fixing a key, for example)
+  reset(provider = null) {
+    for (const [name, m] of this.metrics) {
+      if (provider && name !== provider) continue;
+      m.consecutiveFailures = 0;
+      m.openUntil = 0;
+      m.trialStartedAt = 0;
+    }
+  }
 }
 
 module.exports = ModelRouter;
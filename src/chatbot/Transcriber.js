@@ -0,0 +1,61 @@
+// src/chatbot/Transcriber.js
+// Voice-note transcription through any Whisper-compatible HTTP endpoint
+// (OpenAI /audio/transcriptions, Groq, a local whisper.cpp or faster-whisper server).
+
+const axios = require('axios');
+const FormData = require('form-data');
+
+const EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm'
+};
+
+class Transcriber {
+  constructor(options = {}) {
+    this.url = options.url || null;
+    this.apiKey = options.apiKey || null;
+    this.model = options.model || 'whisper-1';
+    this.language = options.language || null;
+    this.timeout = options.timeout || 60000;
+  }
+
+  get enabled() {
+    return !!this.url;
+  }
+
+  // WhatsApp sends "audio/ogg; codecs=opus"; the endpoint only needs the base type
+  fileNameFor(mimeType = 'audio/ogg') {
+    const base = mimeType.split(';')[0].trim();
+    return `voice.${EXTENSIONS[base] || 'ogg'}`;
+  }
+
+  async transcribe(buffer, mimeType = 'audio/ogg') {
+    if (!this.enabled) {
+      throw new Error('No transcription endpoint configured');
+    }
+
+    const form = new FormData();
+    form.append('file', buffer, { filename: this.fileNameFor(mimeType), contentType: mimeType.split(';')[0] });
+    form.append('model', this.model);
+    form.append('response_format', 'json');
+    if (this.language) form.append('language', this.language);
+
+    const headers = form.getHeaders();
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await axios.post(this.url, form, {
+      headers,
+      timeout: this.timeout,
+      maxBodyLength: Infinity
+    });
+
+    const text = typeof response.data === 'string' ? response.data : response.data?.text;
+    return (text || '').trim();
+  }
+}
+
+module.exports = Transcriber;
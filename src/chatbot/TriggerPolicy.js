@@ -0,0 +1,104 @@
+// src/chatbot/TriggerPolicy.js
+// Decides whether the chatbot answers a group message. A group picks one or
+// more modes (stored as `aiTrigger` in its settings); any matching mode triggers.
+// Private chats always get an answer.
+
+const MODES = {
+  all: 'every message',
+  mention: 'when the bot is @mentioned',
+  reply: 'on replies to the bot',
+  keywords: 'when a keyword appears',
+  sample: 'a random share of messages'
+};
+
+// Message types that carry contextInfo (mentions, quoted message)
+const CONTEXT_TYPES = [
+  'extendedTextMessage',
+  'imageMessage',
+  'videoMessage',
+  'documentMessage',
+  'audioMessage',
+  'stickerMessage'
+];
+
+class TriggerPolicy {
+  // isBotJid: (jid) => boolean, so device and LID variants of the bot's id match
+  constructor(isBotJid, defaults = {}) {
+    this.isBotJid = isBotJid;
+    this.defaults = {
+      modes: ['all'],
+      keywords: [],
+      sampleRate: 0.1,
+      ...defaults
+    };
+  }
+
+  static contextInfo(msg) {
+    const message = msg?.message || {};
+    for (const type of CONTEXT_TYPES) {
+      if (message[type]?.contextInfo) return message[type].contextInfo;
+    }
+    return null;
+  }
+
+  // Group settings merged over the defaults, with unknown modes dropped
+  resolve(stored = null) {
+    const trigger = { ...this.defaults, ...(stored || {}) };
+    trigger.modes = (Array.isArray(trigger.modes) ? trigger.modes : [trigger.modes]).filter(mode => MODES[mode]);
+    if (trigger.modes.length === 0) trigger.modes = ['all'];
+    return trigger;
+  }
+
+  // Returns the mode that matched, or null when the bot should stay quiet
+  check(msg, text, stored = null, random = Math.random) {
+    const trigger = this.resolve(stored);
+    const contextInfo = TriggerPolicy.contextInfo(msg);
+
+    for (const mode of trigger.modes) {
+      switch (mode) {
+        case 'all':
+          return mode;
+        case 'mention':
+          if ((contextInfo?.mentionedJid || []).some(jid => this.isBotJid(jid))) return mode;
+          break;
+        case 'reply':
+          if (contextInfo?.stanzaId && this.isBotJid(contextInfo.participant)) return mode;
+          break;
+        case 'keywords':
+          if (this.matchesKeyword(text, trigger.keywords)) return mode;
+          break;
+        case 'sample':
+          if (random() < trigger.sampleRate) return mode;
+          break;
+      }
+    }
+
+    return null;
+  }
+
+  // Whole-word, case-insensitive; keywords may be phrases
+  matchesKeyword(text, keywords = []) {
+    const lower = text.toLowerCase();
+    return keywords.some(keyword => {
+      const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(lower);
+    });
+  }
+
+  // "@254712345678 what's up" -> "what's up" when that mention is the bot
+  stripBotMention(text, msg) {
+    const mentioned = (TriggerPolicy.contextInfo(msg)?.mentionedJid || []).filter(jid => this.isBotJid(jid));
+    let stripped = text;
+
+    for (const jid of mentioned) {
+      const number = jid.split('@')[0].split(':')[0];
+      stripped = stripped.replace(new RegExp(`@${number}\\b\\s*`, 'g'), '');
+    }
+
+    return stripped.trim() || text.trim();
+  }
+}
+
+TriggerPolicy.MODES = MODES;
+
+module.exports = TriggerPolicy;
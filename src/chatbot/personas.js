@@ -0,0 +1,78 @@
+// src/chatbot/personas.js
+// Built-in persona library and helpers to turn a stored persona into a system prompt.
+// A chat stores { preset, name, systemPrompt, language, length, provider }; anything
+// left unset falls back to the preset, then to the default assistant.
+
+const LENGTHS = {
+  short: { hint: 'Answer in one to three sentences.', maxTokens: 200 },
+  medium: { hint: 'Keep replies concise.', maxTokens: 500 },
+  long: { hint: 'Give thorough, well-structured answers when the question calls for it.', maxTokens: 1200 }
+};
+
+const PERSONAS = {
+  default: {
+    description: 'General-purpose WhatsApp assistant',
+    systemPrompt: 'You are {name}, a helpful WhatsApp assistant.',
+    length: 'medium'
+  },
+  tutor: {
+    name: 'Tutor',
+    description: 'Patient teacher that explains step by step',
+    systemPrompt: 'You are {name}, a patient tutor. Explain ideas step by step with small examples, ' +
+      'check understanding with a short question, and never just hand over answers to homework.',
+    length: 'long'
+  },
+  translator: {
+    name: 'Translator',
+    description: 'Translates every message, nothing else',
+    systemPrompt: 'You are {name}, a translator. Translate each message into {language}. ' +
+      'If it is already in {language}, translate it into English. Reply with the translation only.',
+    language: 'English',
+    length: 'medium'
+  },
+  support: {
+    name: 'Support',
+    description: 'Friendly customer-support agent',
+    systemPrompt: 'You are {name}, a friendly customer-support agent. Acknowledge the problem, ask for ' +
+      'missing details one at a time, give clear numbered steps, and say so when something needs a human.',
+    length: 'short'
+  }
+};
+
+const FIELDS = ['name', 'systemPrompt', 'language', 'length', 'provider'];
+
+// Merge a stored persona over its preset and the default one
+function resolvePersona(stored = null, botName = 'Assistant') {
+  const preset = PERSONAS[stored?.preset] ? stored.preset : 'default';
+  const persona = { ...PERSONAS.default, name: botName, ...PERSONAS[preset], preset };
+
+  for (const field of FIELDS) {
+    if (stored?.[field]) persona[field] = stored[field];
+  }
+
+  if (!LENGTHS[persona.length]) persona.length = 'medium';
+  return persona;
+}
+
+function buildSystemPrompt(persona) {
+  const fill = text => text
+    .replace(/\{name\}/g, persona.name)
+    .replace(/\{language\}/g, persona.language || 'English');
+
+  let prompt = fill(persona.systemPrompt);
+
+  // Translator already says which language; everyone else just follows it
+  if (persona.language && !persona.systemPrompt.includes('{language}')) {
+    prompt += ` Always reply in ${persona.language}.`;
+  }
+
+  return `${prompt} ${LENGTHS[persona.length].hint}`;
+}
+
+module.exports = {
+  PERSONAS,
+  LENGTHS,
+  FIELDS,
+  resolvePersona,
+  buildSystemPrompt
+};
@@ -0,0 +1,399 @@
+// src/lib/ArgParser.js - Tokenizer and typed argument schemas for commands
+const DURATION_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+class ArgParser {
+    constructor(groupUtils) {
+        this.groupUtils = groupUtils;
+        this.types = {
+            string: this.parseString.bind(this),
+            number: this.parseNumber.bind(this),
+            duration: this.parseDuration.bind(this),
+            date: this.parseDate.bind(this),
+            mention: this.parseMention.bind(this),
+            jid: this.parseMention.bind(this),
+            url: this.parseUrl.bind(this),
+            enum: this.parseEnum.bind(this)
+        };
+    }
+
+    // Split input into tokens, honouring "double", 'single' quotes and \ escapes.
+    // A quote only opens at the start of a token and closes at the end of one, so
+    // apostrophes (don't, 'tis) stay literal. Tokens keep offsets for `rest` arguments.
+    tokenize(input = '') {
+        const tokens = [];
+        let current = null;
+        let quote = null;
+        let closeAt = -1;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (char === '\\' && i + 1 < input.length) {
+                if (!current) current = { value: '', start: i, quoted: false };
+                current.value += input[++i];
+                continue;
+            }
+
+            if (quote) {
+                if (i === closeAt) {
+                    quote = null;
+                } else {
+                    current.value += char;
+                }
+                continue;
+            }
+
+            if ((char === '"' || char === "'") && !current) {
+                closeAt = this.closingQuote(input, i);
+                if (closeAt !== -1) {
+                    current = { value: '', start: i, quoted: true };
+                    quote = char;
+                    continue;
+                }
+            }
+
+            if (/\s/.test(char)) {
+                if (current) {
+                    current.end = i;
+                    tokens.push(current);
+                    current = null;
+                }
+                continue;
+            }
+
+            if (!current) current = { value: '', start: i, quoted: false };
+            current.value += char;
+        }
+
+        if (current) {
+            current.end = input.length;
+            tokens.push(current);
+        }
+
+        return tokens;
+    }
+
+    // Index of the quote closing the one at `start`: the same character, unescaped,
+    // followed by whitespace or the end of input. -1 when there is none.
+    closingQuote(input, start) {
+        for (let i = start + 1; i < input.length; i++) {
+            if (input[i] === '\\') {
+                i++;
+            } else if (input[i] === input[start] && (i + 1 === input.length || /\s/.test(input[i + 1]))) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    // Separate the flags a command declares (`--name value`, `--name=value`, bare
+    // `--name` for booleans) from positional tokens. Any other `--word` is ordinary text.
+    splitFlags(tokens, declared = []) {
+        const specs = new Map(declared.map(spec => [spec.name.toLowerCase(), spec]));
+        const positional = [];
+        const flags = {};
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const match = !token.quoted && token.value.match(/^--([a-zA-Z][\w-]*)(?:=(.*))?$/);
+            const spec = match && specs.get(match[1].toLowerCase());
+
+            if (!spec) {
+                positional.push(token);
+                continue;
+            }
+
+            if (spec.type === 'boolean') {
+                flags[spec.name] = match[2] === undefined || !/^(false|no|off|0)$/i.test(match[2]);
+            } else if (match[2] !== undefined) {
+                flags[spec.name] = match[2];
+            } else {
+                // Value flags always take the next token; null means it was missing
+                flags[spec.name] = tokens[i + 1] ? tokens[++i].value : null;
+            }
+        }
+
+        return { positional, flags };
+    }
+
+    // Type-check raw flag values from splitFlags against the declared flag specs
+    parseFlags(declared = [], rawFlags = {}, msg = null) {
+        const flags = {};
+
+        for (const spec of declared) {
+            const raw = rawFlags[spec.name];
+
+            if (raw === undefined) {
+                if (spec.default !== undefined) flags[spec.name] = spec.default;
+                continue;
+            }
+            if (spec.type === 'boolean') {
+                flags[spec.name] = raw;
+                continue;
+            }
+            if (raw === null) {
+                return { error: `Missing value for *--${spec.name}* ${this.describeType(spec)}`.trim() };
+            }
+
+            const parser = this.types[spec.type || 'string'];
+            if (!parser) {
+                return { error: `Unknown flag type "${spec.type}" for *--${spec.name}*` };
+            }
+
+            const value = parser(raw, spec, msg);
+            if (value === undefined) {
+                return { error: `Invalid *--${spec.name}*: "${raw}" ${this.describeType(spec)}` };
+            }
+            flags[spec.name] = value;
+        }
+
+        return { flags };
+    }
+
+    // Validate positional tokens against a command's `args` schema
+    parse(schema, input, { tokens, flags, positional, msg } = {}) {
+        tokens = tokens || this.tokenize(input);
+        if (!positional) ({ positional, flags } = this.splitFlags(tokens));
+
+        const params = {};
+        let index = 0;
+
+        for (const spec of schema) {
+            if (spec.type === 'rest') {
+                const remaining = positional.slice(index);
+                index = positional.length;
+
+                if (remaining.length === 0) {
+                    if (spec.required) return { error: `Missing *${spec.name}*` };
+                    params[spec.name] = spec.default !== undefined ? spec.default : '';
+                    continue;
+                }
+
+                params[spec.name] = this.restText(input, tokens, remaining);
+                continue;
+            }
+
+            const token = positional[index];
+
+            // An empty "" (from serialize) stands for a value that was left out
+            const skipped = token !== undefined && token.quoted && token.value === '';
+            if (token === undefined || skipped) {
+                if (skipped) index++;
+                const fallback = spec.type === 'mention' || spec.type === 'jid'
+                    ? this.quotedParticipant(msg)
+                    : null;
+
+                if (fallback) {
+                    params[spec.name] = fallback;
+                } else if (spec.required) {
+                    return { error: `Missing *${spec.name}*` };
+                } else {
+                    params[spec.name] = spec.default !== undefined ? spec.default : null;
+                }
+                continue;
+            }
+
+            const parser = this.types[spec.type || 'string'];
+            if (!parser) {
+                return { error: `Unknown argument type "${spec.type}" for *${spec.name}*` };
+            }
+
+            const value = parser(token.value, spec, msg);
+            if (value === undefined) {
+                return { error: `Invalid *${spec.name}*: "${token.value}" ${this.describeType(spec)}` };
+            }
+
+            params[spec.name] = value;
+            index++;
+        }
+
+        if (index < positional.length && !schema.some(spec => spec.type === 'rest')) {
+            return { error: `Too many arguments: "${positional.slice(index).map(t => t.value).join(' ')}"` };
+        }
+
+        return { params, flags };
+    }
+
+    // Raw text (newlines, spacing and quotes included) of the tokens a `rest` argument
+    // takes, with declared flags between them cut out. A single quoted token (as
+    // serialize writes it) is unquoted instead.
+    restText(input, tokens, remaining) {
+        if (remaining.length === 1 && remaining[0].quoted) {
+            return remaining[0].value;
+        }
+
+        const runs = [];
+        let lastIndex = -2;
+        for (const token of remaining) {
+            const index = tokens.indexOf(token);
+            if (index === lastIndex + 1) {
+                runs[runs.length - 1].push(token);
+            } else {
+                runs.push([token]);
+            }
+            lastIndex = index;
+        }
+
+        return runs.map(run => input.slice(run[0].start, run[run.length - 1].end)).join(' ').trim();
+    }
+
+    // Usage string generated from a schema, e.g. `.mute <user> [duration]`
+    buildUsage(prefix, commandName, schema = [], flags = []) {
+        const parts = schema.map(spec => {
+            const label = spec.type === 'enum' && spec.choices
+                ? spec.choices.join('|')
+                : spec.name + (spec.type === 'rest' ? '...' : '');
+            return spec.required ? `<${label}>` : `[${label}]`;
+        });
+        for (const spec of flags) {
+            parts.push(spec.type === 'boolean' ? `[--${spec.name}]` : `[--${spec.name} <${spec.type || 'value'}>]`);
+        }
+
+        let usage = `${prefix}${commandName}${parts.length > 0 ? ' ' + parts.join(' ') : ''}`;
+
+        const described = [...schema, ...flags.map(spec => ({ ...spec, name: `--${spec.name}` }))]
+            .filter(spec => spec.description);
+        if (described.length > 0) {
+            usage += '\n' + described
+                .map(spec => `• *${spec.name}* (${spec.type || 'string'}): ${spec.description}`)
+                .join('\n');
+        }
+
+        return usage;
+    }
+
+    // JSON schema for an args schema, used to describe commands to AI function calling
+    toJsonSchema(schema = []) {
+        const properties = {};
+
+        for (const spec of schema) {
+            const property = { type: 'string' };
+
+            switch (spec.type) {
+                case 'number':
+                    property.type = spec.integer ? 'integer' : 'number';
+                    if (spec.min !== undefined) property.minimum = spec.min;
+                    if (spec.max !== undefined) property.maximum = spec.max;
+                    break;
+                case 'enum':
+                    property.enum = spec.choices || [];
+                    break;
+            }
+
+            const hint = this.describeType(spec).replace(/^\(expected |\)$/g, '');
+            property.description = [spec.description, hint].filter(Boolean).join(' — ') || spec.name;
+            properties[spec.name] = property;
+        }
+
+        return {
+            type: 'object',
+            properties,
+            required: schema.filter(spec => spec.required).map(spec => spec.name)
+        };
+    }
+
+    // The inverse of parse: named values back into an argument string.
+    // Every value is quoted so spaces, quotes and leading dashes survive; a value
+    // left out before a later one becomes "" so the later ones keep their position.
+    serialize(schema = [], values = {}) {
+        const parts = schema.map(spec => {
+            const value = values[spec.name];
+            return value === undefined || value === null ? '' : String(value);
+        });
+
+        while (parts.length > 0 && parts[parts.length - 1] === '') parts.pop();
+
+        return parts.map(value => `"${value.replace(/["\\]/g, '\\$&')}"`).join(' ');
+    }
+
+    describeType(spec) {
+        switch (spec.type) {
+            case 'number': return '(expected a number)';
+            case 'duration': return '(expected a duration like 30s, 10m, 2h, 1d)';
+            case 'date': return '(expected a date like 2024-05-01 or a duration ago like 7d)';
+            case 'mention':
+            case 'jid': return '(expected a @mention or phone number)';
+            case 'url': return '(expected an http(s) link)';
+            case 'enum': return `(expected one of: ${(spec.choices || []).join(', ')})`;
+            default: return '';
+        }
+    }
+
+    // Type parsers return undefined when the value is invalid
+    parseString(value) {
+        return value;
+    }
+
+    parseNumber(value, spec) {
+        const number = Number(value);
+        if (value === '' || !Number.isFinite(number)) return undefined;
+        if (spec.integer && !Number.isInteger(number)) return undefined;
+        if (spec.min !== undefined && number < spec.min) return undefined;
+        if (spec.max !== undefined && number > spec.max) return undefined;
+        return number;
+    }
+
+    parseDuration(value) {
+        const parts = value.toLowerCase().match(/\d+(?:\.\d+)?[smhdw]/g);
+        if (!parts || parts.join('') !== value.toLowerCase()) return undefined;
+
+        return parts.reduce((total, part) => {
+            const unit = part.slice(-1);
+            return total + parseFloat(part) * DURATION_UNITS[unit];
+        }, 0);
+    }
+
+    // A point in time as ms: a date, or a duration meaning "that long ago".
+    // With spec.endOfDay a bare date covers the whole day (for range ends).
+    parseDate(value, spec = {}) {
+        const ago = this.parseDuration(value);
+        if (ago !== undefined) return Date.now() - ago;
+
+        const time = Date.parse(value);
+        if (Number.isNaN(time)) return undefined;
+        return spec.endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+    }
+
+    parseMention(value, spec, msg) {
+        if (value.includes('@') && !value.startsWith('@')) {
+            return /^\d+@(s\.whatsapp\.net|lid)$/.test(value) ? value : undefined;
+        }
+
+        const digits = value.replace(/^@/, '').replace(/[\s+-]/g, '');
+        if (!/^\d{5,20}$/.test(digits)) return undefined;
+
+        // Prefer the real JID from the mention list (may be a @lid)
+        const mentioned = msg?.message?.extendedTextMessage?.contextInfo?.mentionedJid || [];
+        const match = mentioned.find(jid => jid.split('@')[0].split(':')[0] === digits);
+        if (match) return match;
+
+        return this.groupUtils ? this.groupUtils.formatJid(digits) : `${digits}@s.whatsapp.net`;
+    }
+
+    parseUrl(value) {
+        try {
+            const url = new URL(value);
+            return ['http:', 'https:'].includes(url.protocol) ? url.href : undefined;
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    parseEnum(value, spec) {
+        const choices = spec.choices || [];
+        return choices.find(choice => choice.toLowerCase() === value.toLowerCase());
+    }
+
+    // Replying to someone counts as mentioning them
+    quotedParticipant(msg) {
+        return msg?.message?.extendedTextMessage?.contextInfo?.participant || null;
+    }
+}
+
+module.exports = ArgParser;
@@ -0,0 +1,184 @@
+// src/lib/ChatExporter.js - Render a chat's cached messages as JSON, WhatsApp-style text or HTML
+const FORMATS = {
+    json: { mimetype: 'application/json', extension: 'json' },
+    txt: { mimetype: 'text/plain', extension: 'txt' },
+    html: { mimetype: 'text/html', extension: 'html' }
+};
+
+// What WhatsApp's own export writes in place of media
+const MEDIA_LABELS = {
+    image: 'image omitted',
+    video: 'video omitted',
+    audio: 'audio omitted',
+    document: 'document omitted',
+    sticker: 'sticker omitted'
+};
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+class ChatExporter {
+    constructor(messageCache) {
+        this.messageCache = messageCache;
+    }
+
+    // Returns { buffer, mimetype, fileName, count, truncated } for `format` (json | txt | html).
+    // `title` names the chat in the output; since/until are ms timestamps.
+    // Messages deleted for everyone are only included with includeRevoked. Past `limit`
+    // only the newest messages are kept, and the output says so.
+    async exportChat(chatId, { format = 'txt', since = null, until = null, title = null, includeRevoked = false, limit } = {}) {
+        const spec = FORMATS[format];
+        if (!spec) throw new Error(`Unknown export format "${format}"`);
+
+        // One extra row tells whether older messages were cut off
+        const rows = await this.messageCache.getChatMessages(chatId, { since, until, includeRevoked, limit: limit && limit + 1 });
+        const truncated = !!limit && rows.length > limit;
+        if (truncated) rows.shift();
+        const messages = rows.map(row => ({
+            id: row.id,
+            sender: row.senderName && row.senderName !== 'Unknown' ? row.senderName : this.numberOf(row.senderId),
+            senderId: row.senderId,
+            timestamp: row.timestamp,
+            type: row.messageType,
+            text: row.textContent || '',
+            viewOnce: row.isViewOnce === 1,
+            mediaStored: !!row.mediaHash,
+            deleted: !!row.revokedAt
+        }));
+
+        const meta = {
+            chatId,
+            title: title || this.numberOf(chatId),
+            since,
+            until,
+            truncated,
+            exportedAt: Date.now()
+        };
+
+        const content = format === 'json'
+            ? this.toJson(meta, messages)
+            : format === 'html' ? this.toHtml(meta, messages) : this.toText(meta, messages);
+
+        const safeTitle = meta.title.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40) || 'chat';
+        const date = new Date(meta.exportedAt);
+
+        return {
+            buffer: Buffer.from(content, 'utf8'),
+            mimetype: spec.mimetype,
+            fileName: `${safeTitle}-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}.${spec.extension}`,
+            count: messages.length,
+            truncated
+        };
+    }
+
+    truncationNote(messages) {
+        return `Only the newest ${messages.length} messages are included; older ones in this range were left out.`;
+    }
+
+    numberOf(jid) {
+        return jid.split('@')[0].split(':')[0];
+    }
+
+    // Message text, or the media placeholder followed by any caption
+    bodyOf(message) {
+        const label = MEDIA_LABELS[message.type];
+        const deleted = message.deleted ? ' <deleted for everyone>' : '';
+        if (!label) return (message.text || '<message omitted>') + deleted;
+        return `<${message.viewOnce ? 'view once ' : ''}${label}>${deleted}${message.text ? `\n${message.text}` : ''}`;
+    }
+
+    toJson(meta, messages) {
+        return JSON.stringify({
+            chatId: meta.chatId,
+            title: meta.title,
+            since: meta.since ? new Date(meta.since).toISOString() : null,
+            until: meta.until ? new Date(meta.until).toISOString() : null,
+            exportedAt: new Date(meta.exportedAt).toISOString(),
+            count: messages.length,
+            truncated: meta.truncated,
+            messages: messages.map(message => ({ ...message, time: new Date(message.timestamp).toISOString() }))
+        }, null, 2);
+    }
+
+    // Same line layout as WhatsApp's "Export chat": `18/10/2026, 14:02 - Name: text`
+    toText(meta, messages) {
+        const stamp = time => {
+            const date = new Date(time);
+            return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}, ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        };
+
+        const lines = messages.map(message => `${stamp(message.timestamp)} - ${message.sender}: ${this.bodyOf(message)}`);
+        if (meta.truncated) lines.unshift(this.truncationNote(messages));
+        return lines.join('\n') + '\n';
+    }
+
+    // One self-contained page: inline styles, no scripts or external assets
+    toHtml(meta, messages) {
+        let body = '';
+        let lastDay = null;
+
+        for (const message of messages) {
+            const date = new Date(message.timestamp);
+            const day = date.toDateString();
+            if (day !== lastDay) {
+                body += `<div class="day">${escapeHtml(date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }))}</div>\n`;
+                lastDay = day;
+            }
+
+            const media = MEDIA_LABELS[message.type];
+            const text = media
+                ? `<span class="media">${escapeHtml(`${message.viewOnce ? 'view once ' : ''}${media}`)}</span>${message.text ? `<br>${escapeHtml(message.text)}` : ''}`
+                : escapeHtml(message.text || 'message omitted');
+
+            body += `<div class="msg"><div class="who">${escapeHtml(message.sender)}</div>` +
+                `<div class="text">${text.replace(/\n/g, '<br>')}</div>` +
+                (message.deleted ? '<div class="media">deleted for everyone</div>' : '') +
+                `<div class="time">${pad(date.getHours())}:${pad(date.getMinutes())}</div></div>\n`;
+        }
+
+        const range = [meta.since && `from ${new Date(meta.since).toLocaleString()}`, meta.until && `until ${new Date(meta.until).toLocaleString()}`]
+            .filter(Boolean).join(' ');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(meta.title)} - chat export</title>
+<style>
+body { margin: 0; background: #efeae2; font: 14px/1.4 -apple-system, "Segoe UI", Roboto, sans-serif; color: #111b21; }
+header { background: #075e54; color: #fff; padding: 16px 20px; }
+header h1 { margin: 0; font-size: 18px; }
+header p { margin: 4px 0 0; opacity: .8; font-size: 12px; }
+main { max-width: 760px; margin: 0 auto; padding: 12px; }
+.day { text-align: center; margin: 16px 0 8px; font-size: 12px; color: #54656f; }
+.msg { background: #fff; border-radius: 8px; padding: 6px 10px; margin: 4px 0; box-shadow: 0 1px .5px rgba(0,0,0,.13); }
+.who { font-weight: 600; font-size: 13px; color: #075e54; }
+.text { white-space: normal; word-wrap: break-word; }
+.media { font-style: italic; color: #667781; }
+.time { text-align: right; font-size: 11px; color: #667781; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(meta.title)}</h1>
+<p>${messages.length} messages${range ? ` ${escapeHtml(range)}` : ''} • exported ${escapeHtml(new Date(meta.exportedAt).toLocaleString())}</p>
+${meta.truncated ? `<p>${escapeHtml(this.truncationNote(messages))}</p>\n` : ''}</header>
+<main>
+${body}</main>
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = ChatExporter;
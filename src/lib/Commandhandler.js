@@ -1,6 +1,11 @@
 // src/lib/CommandHandler.js - Fixed with LID support
 const fs = require('fs');
 const path = require('path');
+const GroupUtils = require('./GroupUtils');
+const ArgParser = require('./ArgParser');
+const RateLimiter = require('./RateLimiter');
+const HelpMenu = require('./HelpMenu');
+const TriggerPolicy = require('../chatbot/TriggerPolicy');
 
 class CommandHandler {
     constructor(bot, config) {
@@ -10,8 +15,13 @@ class CommandHandler {
         }
 
         this.bot = bot;
-        this.config = config;
+        this.config = config || bot.config;
         this.commands = new Map();
+        this.aliases = new Map();
+        this.fileCommands = new Map();
+        this.middleware = [];
+        this.basePrefix = this.config.PREFIX;
+        this.commandsDir = path.join(__dirname, '../../wanga/commands');
         this.categories = {
             'public': '👤 Public Commands',
             'group': '👥 Group Commands',
@@ -21,16 +31,27 @@ class CommandHandler {
 
         this.emoji = bot.emoji;
         this.logger = bot.logger;
+        this.groupUtils = new GroupUtils(bot);
+        this.argParser = new ArgParser(this.groupUtils);
+        this.rateLimiter = new RateLimiter();
+        this.helpMenu = new HelpMenu(this);
 
         // Store instance in bot
         bot.commandHandler = this;
 
+        // Record every invocation for analytics
+        this.use((ctx, next) => this.trackUsage(ctx, next));
+
         // Load all commands
         this.loadCommands();
+
+        if (this.config.COMMAND_HOT_RELOAD) {
+            this.watchCommands();
+        }
     }
 
     loadCommands() {
-        const commandsDir = path.join(__dirname, '../../wanga/commands');
+        const commandsDir = this.commandsDir;
 
         // Create directory structure if it doesn't exist
         if (!fs.existsSync(commandsDir)) {
@@ -39,79 +60,310 @@ class CommandHandler {
         }
 
         // Strategy 1: Load from category folders
-        for (const [category, categoryName] of Object.entries(this.categories)) {
-            const categoryPath = path.join(commandsDir, category);
+        // Strategy 2: Load single-file commands (like group.js with multiple exports)
+        for (const filePath of this.listCommandFiles()) {
+            try {
+                this.loadCommandFile(filePath);
+            } catch (error) {
+                this.logger.log(`Failed to load ${path.relative(commandsDir, filePath)}: ${error.message}`, 'warning');
+            }
+        }
+
+        this.checkAliasCollisions();
+
+        this.logger.log(`✅ Loaded ${this.commands.size} commands (${this.aliases.size} aliases)`, 'success');
+    }
+
+    // Every .js file either strategy would load, category folders first
+    listCommandFiles() {
+        const files = [];
+
+        for (const category of Object.keys(this.categories)) {
+            const categoryPath = path.join(this.commandsDir, category);
 
             if (fs.existsSync(categoryPath)) {
-                const files = fs.readdirSync(categoryPath).filter(f => f.endsWith('.js'));
-
-                for (const file of files) {
-                    const commandName = path.basename(file, '.js');
-
-                    try {
-                        const commandPath = path.join(categoryPath, file);
-                        const command = require(commandPath);
-
-                        // Handle both formats: object with execute method or direct function
-                        if (typeof command === 'object' && command.execute) {
-                            this.commands.set(commandName, {
-                                name: commandName,
-                                description: command.description || 'No description',
-                                usage: command.usage || this.config.PREFIX + commandName,
-                                category: command.category || category,
-                                categoryName: categoryName,
-                                execute: command.execute.bind(command)
-                            });
-                        } else if (typeof command === 'function') {
-                            this.commands.set(commandName, {
-                                name: commandName,
-                                description: 'No description',
-                                usage: this.config.PREFIX + commandName,
-                                category: category,
-                                categoryName: categoryName,
-                                execute: command
-                            });
-                        }
-
-                        this.logger.log(`Loaded: ${category}/${commandName}`, 'debug');
-                    } catch (error) {
-                        this.logger.log(`Failed ${category}/${commandName}: ${error.message}`, 'warning');
-                    }
+                fs.readdirSync(categoryPath)
+                    .filter(f => f.endsWith('.js'))
+                    .forEach(f => files.push(path.join(categoryPath, f)));
+            }
+        }
+
+        if (fs.existsSync(this.commandsDir)) {
+            fs.readdirSync(this.commandsDir)
+                .filter(f => f.endsWith('.js') && f !== 'index.js')
+                .forEach(f => files.push(path.join(this.commandsDir, f)));
+        }
+
+        return files;
+    }
+
+    // Category folder a file belongs to, null for top-level single files,
+    // undefined for anything the loader doesn't handle
+    categoryForFile(filePath) {
+        const dir = path.dirname(filePath);
+        const file = path.basename(filePath);
+
+        if (!file.endsWith('.js')) return undefined;
+        if (dir === this.commandsDir) return file === 'index.js' ? undefined : null;
+        if (path.dirname(dir) === this.commandsDir && this.categories[path.basename(dir)]) {
+            return path.basename(dir);
+        }
+
+        return undefined;
+    }
+
+    // Require one file and turn its exports into command entries. Throws on load errors.
+    readCommandFile(filePath) {
+        const category = this.categoryForFile(filePath);
+        const module = require(filePath);
+        const commands = [];
+
+        if (category) {
+            const commandName = path.basename(filePath, '.js');
+
+            // Handle both formats: object with execute method or direct function
+            if (typeof module === 'object' && (module.execute || module.subcommands)) {
+                commands.push(this.buildCommand(commandName, module, category));
+            } else if (typeof module === 'function') {
+                commands.push(this.buildCommand(commandName, { execute: module }, category));
+            }
+        } else if (typeof module === 'object' && !module.execute && !module.subcommands) {
+            // If file exports multiple commands as an object
+            for (const [commandName, commandDef] of Object.entries(module)) {
+                if (commandDef && (typeof commandDef.execute === 'function' || commandDef.subcommands)) {
+                    commands.push(this.buildCommand(commandName, commandDef, 'public'));
                 }
             }
         }
 
-        // Strategy 2: Load single-file commands (like group.js with multiple exports)
-        const singleFiles = fs.readdirSync(commandsDir).filter(f => f.endsWith('.js') && f !== 'index.js');
+        for (const command of commands) {
+            command.file = filePath;
+        }
 
-        for (const file of singleFiles) {
-            try {
-                const filePath = path.join(commandsDir, file);
-                const module = require(filePath);
-
-                // If file exports multiple commands as an object
-                if (typeof module === 'object' && !module.execute) {
-                    for (const [commandName, commandDef] of Object.entries(module)) {
-                        if (commandDef && typeof commandDef.execute === 'function') {
-                            this.commands.set(commandName, {
-                                name: commandName,
-                                description: commandDef.description || 'No description',
-                                usage: commandDef.usage || this.config.PREFIX + commandName,
-                                category: commandDef.category || 'public',
-                                categoryName: this.categories[commandDef.category] || 'Public Commands',
-                                execute: commandDef.execute.bind(commandDef)
-                            });
-
-                            this.logger.log(`Loaded from ${file}: ${commandName}`, 'debug');
-                        }
-                    }
+        return commands;
+    }
+
+    loadCommandFile(filePath) {
+        const commands = this.readCommandFile(filePath);
+        const label = path.relative(this.commandsDir, filePath);
+
+        for (const command of commands) {
+            this.registerCommand(command);
+            this.logger.log(`Loaded from ${label}: ${command.name}`, 'debug');
+        }
+
+        this.fileCommands.set(filePath, commands.map(c => c.name));
+        return commands;
+    }
+
+    // Remove every command (and its aliases) that came from a file
+    unloadCommandFile(filePath) {
+        const names = this.fileCommands.get(filePath) || [];
+
+        for (const name of names) {
+            if (this.commands.get(name)?.file !== filePath) continue;
+
+            this.commands.delete(name);
+            for (const [alias, target] of this.aliases) {
+                if (target === name) this.aliases.delete(alias);
+            }
+        }
+
+        this.fileCommands.delete(filePath);
+        return names;
+    }
+
+    // Normalize a command definition into the shape stored in this.commands
+    buildCommand(commandName, def, defaultCategory) {
+        const category = def.category || defaultCategory;
+        const args = Array.isArray(def.args) ? def.args : null;
+        const flags = Array.isArray(def.flags) ? def.flags : [];
+
+        if (args && args.some((spec, i) => spec.type === 'rest' && i !== args.length - 1)) {
+            this.logger.log(`${commandName}: "rest" argument must be last in args schema`, 'warning');
+        }
+
+        const subcommands = def.subcommands && typeof def.subcommands === 'object'
+            ? this.buildSubcommands(commandName, def.subcommands, def, category)
+            : null;
+
+        let usage = def.usage;
+        if (!usage && subcommands && !args) {
+            usage = [...new Set(subcommands.values())].map(sub => sub.usage.split('\n')[0]).join('\n');
+        }
+
+        return {
+            name: commandName,
+            description: def.description || 'No description',
+            usage: usage || this.argParser.buildUsage(this.basePrefix, commandName, args || [], flags),
+            category: category,
+            categoryName: this.categories[category] || this.categories[defaultCategory],
+            aliases: (Array.isArray(def.aliases) ? def.aliases : [])
+                .map(alias => String(alias).toLowerCase())
+                .filter(alias => alias && alias !== commandName),
+            args: args,
+            flags: flags,
+            examples: Array.isArray(def.examples) ? def.examples : [],
+            botAdminRequired: def.botAdminRequired === true,
+            cooldown: Number(def.cooldown) > 0 ? Number(def.cooldown) : 0,
+            rateLimit: def.rateLimit?.limit > 0 && def.rateLimit?.window > 0 ? def.rateLimit : null,
+            subcommands: subcommands,
+            tool: def.tool && typeof def.execute === 'function' ? this.buildTool(commandName, def, args) : null,
+            execute: typeof def.execute === 'function' ? def.execute.bind(def) : null
+        };
+    }
+
+    // Commands opt in as AI tools with `tool: true` (schema derived from args) or
+    // `tool: { description, parameters }` whose property names match the args.
+    // Commands without args get no `parameters`: Gemini rejects an empty object schema.
+    buildTool(commandName, def, args) {
+        const spec = def.tool === true ? {} : def.tool;
+        const tool = {
+            name: commandName.replace(/\s+/g, '_'),
+            description: spec.description || def.description || commandName
+        };
+
+        if (spec.parameters) {
+            tool.parameters = spec.parameters;
+        } else if (args && args.length > 0) {
+            tool.parameters = this.argParser.toJsonSchema(args);
+        }
+
+        return tool;
+    }
+
+    // Subcommands are full command entries named by their path ("group welcome").
+    // They inherit the parent's category, cooldown and rate limit unless they set their own.
+    // The returned map is keyed by subcommand name and alias.
+    buildSubcommands(parentPath, defs, parentDef, parentCategory) {
+        const subcommands = new Map();
+
+        for (const [name, subDef] of Object.entries(defs)) {
+            if (!subDef || (typeof subDef.execute !== 'function' && !subDef.subcommands)) {
+                this.logger.log(`${parentPath} ${name}: subcommand needs execute or subcommands`, 'warning');
+                continue;
+            }
+
+            const sub = this.buildCommand(`${parentPath} ${name.toLowerCase()}`, subDef, parentCategory);
+            sub.subName = name.toLowerCase();
+            sub.aliases = sub.aliases.filter(alias => !alias.includes(' '));
+            if (!sub.cooldown && parentDef.cooldown) sub.cooldown = Number(parentDef.cooldown) || 0;
+            if (!sub.rateLimit && parentDef.rateLimit) sub.rateLimit = parentDef.rateLimit;
+            if (!subDef.botAdminRequired && parentDef.botAdminRequired) sub.botAdminRequired = true;
+
+            // Parent flags apply to every subcommand (e.g. `--here`), own flags win on name clashes
+            const ownFlags = new Set(sub.flags.map(spec => spec.name));
+            sub.flags = [...sub.flags, ...(parentDef.flags || []).filter(spec => !ownFlags.has(spec.name))];
+
+            for (const key of [sub.subName, ...sub.aliases]) {
+                if (subcommands.has(key)) {
+                    this.logger.log(`${parentPath}: subcommand "${key}" defined twice, keeping the first`, 'warning');
+                    continue;
                 }
-            } catch (error) {
-                this.logger.log(`Failed to load ${file}: ${error.message}`, 'warning');
+                subcommands.set(key, sub);
+            }
+        }
+
+        return subcommands;
+    }
+
+    // Walk positional tokens down a subcommand tree.
+    // Returns { target, consumed } or { error } listing the valid choices.
+    resolveSubcommand(command, positional, prefix) {
+        let target = command;
+        const consumed = [];
+
+        while (target.subcommands) {
+            const token = positional[consumed.length];
+            const sub = token && target.subcommands.get(token.value.toLowerCase());
+
+            if (sub) {
+                consumed.push(token);
+                target = sub;
+                continue;
+            }
+
+            // Commands with their own args or execute handle what's left themselves
+            if (token && target.args) break;
+            if (!token && target.execute) break;
+
+            const valid = [...new Set(target.subcommands.values())].map(s => s.subName);
+            const heading = token
+                ? `❌ Unknown subcommand *${token.value}*.`
+                : `📋 *${prefix}${target.name}* needs a subcommand.`;
+
+            return {
+                error: `${heading}\n\nValid: ${prefix}${target.name} ${valid.join('|')}\n\n` +
+                    this.helpMenu.renderSubcommandList(target, prefix)
+            };
+        }
+
+        return { target, consumed };
+    }
+
+    // Store a command under its canonical name and map its aliases to it
+    registerCommand(command) {
+        if (this.commands.has(command.name)) {
+            this.logger.log(`Duplicate command "${command.name}", replacing earlier definition`, 'warning');
+        }
+
+        this.commands.set(command.name, command);
+
+        for (const alias of command.aliases) {
+            const owner = this.aliases.get(alias);
+
+            if (owner && owner !== command.name) {
+                this.logger.log(`Alias collision: "${alias}" claimed by ${owner} and ${command.name}, keeping ${owner}`, 'warning');
+                continue;
+            }
+
+            this.aliases.set(alias, command.name);
+        }
+    }
+
+    // Aliases that shadow a real command name can never be reached
+    checkAliasCollisions() {
+        for (const [alias, target] of this.aliases) {
+            if (this.commands.has(alias)) {
+                this.logger.log(`Alias collision: "${alias}" (alias of ${target}) is also a command name, command wins`, 'warning');
+                this.aliases.delete(alias);
+            }
+        }
+    }
+
+    // Look up a command by canonical name or alias
+    resolveCommand(name) {
+        if (this.commands.has(name)) return this.commands.get(name);
+
+        const target = this.aliases.get(name);
+        return target ? this.commands.get(target) : null;
+    }
+
+    // Closest command names/aliases to a mistyped name, best match first
+    suggestCommands(name, limit = 3) {
+        if (!name) return [];
+
+        const maxDistance = Math.max(1, Math.floor(name.length / 3));
+        const candidates = [
+            ...[...this.commands.keys()].map(key => [key, key]),
+            ...this.aliases.entries()
+        ];
+
+        const best = new Map();
+        for (const [key, target] of candidates) {
+            const distance = editDistance(name, key);
+            if (distance > maxDistance) continue;
+
+            const current = best.get(target);
+            if (!current || distance < current.distance) {
+                best.set(target, { key, distance });
             }
         }
 
-        this.logger.log(`✅ Loaded ${this.commands.size} commands`, 'success');
+        return [...best.values()]
+            .sort((a, b) => a.distance - b.distance || a.key.localeCompare(b.key))
+            .slice(0, limit)
+            .map(match => match.key);
     }
 
     // ADDED: Reload commands method
@@ -120,25 +372,11 @@ class CommandHandler {
         
         // Clear existing commands
         this.commands.clear();
+        this.aliases.clear();
+        this.fileCommands.clear();
         
-        // Clear require cache for command files
-        const commandFiles = [];
-        const commandsDir = path.join(__dirname, '../../wanga/commands');
-        
-        // Collect all command files
-        for (const [category] of Object.entries(this.categories)) {
-            const categoryPath = path.join(commandsDir, category);
-            if (fs.existsSync(categoryPath)) {
-                const files = fs.readdirSync(categoryPath).filter(f => f.endsWith('.js'));
-                files.forEach(file => {
-                    const filePath = path.join(categoryPath, file);
-                    commandFiles.push(filePath);
-                });
-            }
-        }
-        
-        // Clear cache for each command file
-        commandFiles.forEach(filePath => {
+        // Clear require cache for every command file, single-file modules included
+        this.listCommandFiles().forEach(filePath => {
             if (require.cache[filePath]) {
                 delete require.cache[filePath];
             }
@@ -150,85 +388,613 @@ class CommandHandler {
         return this.commands.size;
     }
 
-    async handleCommand(msg, text, from, sender, isGroup) {
-        const commandName = text.slice(this.config.PREFIX.length).trim().split(/ +/)[0].toLowerCase();
-        const args = text.slice(this.config.PREFIX.length + commandName.length).trim().split(/ +/);
+    // Reload a single file. On a load error the previous module and its
+    // commands stay in place. Returns { status, names, error }.
+    reloadCommandFile(filePath) {
+        const previousModule = require.cache[filePath];
+        const existed = this.fileCommands.has(filePath);
 
-        const command = this.commands.get(commandName);
+        if (!fs.existsSync(filePath)) {
+            delete require.cache[filePath];
+            return { status: 'removed', names: this.unloadCommandFile(filePath) };
+        }
+
+        delete require.cache[filePath];
+
+        let commands;
+        try {
+            commands = this.readCommandFile(filePath);
+        } catch (error) {
+            if (previousModule) {
+                require.cache[filePath] = previousModule;
+            } else {
+                delete require.cache[filePath];
+            }
+            return { status: 'failed', names: this.fileCommands.get(filePath) || [], error: error.message };
+        }
+
+        this.unloadCommandFile(filePath);
+        for (const command of commands) {
+            this.registerCommand(command);
+        }
+        this.fileCommands.set(filePath, commands.map(c => c.name));
+
+        return { status: existed ? 'replaced' : 'loaded', names: commands.map(c => c.name) };
+    }
+
+    // Opt-in: watch wanga/commands and reload only the files that change
+    watchCommands(debounceMs = 500) {
+        if (this.watchers) return;
+
+        this.watchers = [];
+        this.pendingReloads = new Set();
+
+        const dirs = [this.commandsDir, ...Object.keys(this.categories).map(c => path.join(this.commandsDir, c))];
+
+        for (const dir of dirs.filter(d => fs.existsSync(d))) {
+            try {
+                const watcher = fs.watch(dir, (event, filename) => {
+                    if (!filename) return;
+
+                    const filePath = path.join(dir, filename.toString());
+                    if (this.categoryForFile(filePath) === undefined) return;
+
+                    // Editors fire several events per save, so batch them
+                    this.pendingReloads.add(filePath);
+                    clearTimeout(this.reloadTimer);
+                    this.reloadTimer = setTimeout(() => this.flushPendingReloads(), debounceMs);
+                });
+
+                watcher.on('error', (error) => {
+                    this.logger.log(`Command watcher error on ${dir}: ${error.message}`, 'warning');
+                });
+
+                this.watchers.push(watcher);
+            } catch (error) {
+                this.logger.log(`Cannot watch ${dir}: ${error.message}`, 'warning');
+            }
+        }
+
+        this.logger.log(`👀 Watching ${this.watchers.length} command folders for changes`, 'info');
+    }
+
+    unwatchCommands() {
+        if (!this.watchers) return;
+
+        clearTimeout(this.reloadTimer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = null;
+        this.pendingReloads = null;
+    }
+
+    async flushPendingReloads() {
+        if (!this.pendingReloads || this.pendingReloads.size === 0) return;
+
+        const files = [...this.pendingReloads];
+        this.pendingReloads.clear();
+
+        const report = { loaded: [], replaced: [], removed: [], failed: [] };
+
+        for (const filePath of files) {
+            const result = this.reloadCommandFile(filePath);
+            const label = path.relative(this.commandsDir, filePath);
+
+            report[result.status].push({ file: label, ...result });
+            this.logger.log(`Hot reload ${result.status}: ${label}${result.error ? ` (${result.error})` : ''}`,
+                result.status === 'failed' ? 'warning' : 'info');
+        }
+
+        this.checkAliasCollisions();
+        await this.notifyOwnerOfReload(report);
+        return report;
+    }
+
+    async notifyOwnerOfReload(report) {
+        const sections = [
+            ['✅ Loaded', report.loaded],
+            ['♻️ Replaced', report.replaced],
+            ['🗑️ Removed', report.removed],
+            ['❌ Failed (kept previous version)', report.failed]
+        ].filter(([, entries]) => entries.length > 0);
+
+        if (sections.length === 0 || !this.bot.sock || !this.config.OWNER_PHONE) return;
+
+        let text = `🔄 *COMMAND HOT RELOAD*\n\n`;
+        for (const [title, entries] of sections) {
+            text += `*${title}:*\n`;
+            for (const entry of entries) {
+                const names = entry.names.length > 0 ? ` → ${entry.names.join(', ')}` : '';
+                text += `• ${entry.file}${names}\n`;
+                if (entry.error) text += `  _${entry.error}_\n`;
+            }
+            text += '\n';
+        }
+        text += `⌨️ Commands: ${this.commands.size}`;
+
+        try {
+            const ownerJid = `${this.config.OWNER_PHONE.replace(/\D/g, '')}@s.whatsapp.net`;
+            await this.bot.sendMessage(ownerJid, { text });
+        } catch (error) {
+            this.logger.log(`Failed to notify owner about reload: ${error.message}`, 'warning');
+        }
+    }
+
+    // Register a middleware: async (ctx, next) => { ... }
+    // ctx is the same object passed to execute. Returning without calling next()
+    // short-circuits with that reply; code after `await next()` runs as an
+    // after-hook with ctx.result, ctx.error and ctx.duration filled in.
+    use(fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('Middleware must be a function');
+        }
+
+        this.middleware.push(fn);
+        return this;
+    }
+
+    // Prefixes accepted in a chat, primary first: the group's own prefix
+    // setting, else config.PREFIXES, else config.PREFIX
+    getPrefixes(from, isGroup) {
+        let prefixes = null;
+
+        if (isGroup && from) {
+            prefixes = this.bot.settings?.getGroupSettings(from)?.prefix;
+        }
+
+        if (!prefixes || prefixes.length === 0) {
+            prefixes = this.config.PREFIXES || this.config.PREFIX;
+        }
+
+        return [].concat(prefixes).filter(Boolean);
+    }
+
+    // Primary prefix for a chat, used when rendering help and usage
+    getPrefix(from, isGroup) {
+        return this.getPrefixes(from, isGroup)[0] || this.basePrefix;
+    }
+
+    // Rewrite a stored usage string for the prefix that applies in a chat
+    usageFor(command, prefix) {
+        if (!this.basePrefix || prefix === this.basePrefix) return command.usage;
+
+        return command.usage
+            .split('\n')
+            .map(line => line.startsWith(this.basePrefix) ? prefix + line.slice(this.basePrefix.length) : line)
+            .join('\n');
+    }
+
+    isBotJid(jid) {
+        if (!jid) return false;
+
+        const user = jid.split('@')[0].split(':')[0];
+        const botUser = this.bot.sock?.user;
+        return [botUser?.id, botUser?.lid]
+            .filter(Boolean)
+            .some(botJid => botJid.split('@')[0].split(':')[0] === user);
+    }
+
+    // Decide whether a message is a command. Returns { prefix, body, via } or null.
+    // "@bot .menu" and "@bot menu" work like ".menu", as do replies to the bot, captions
+    // included. Set MENTION_COMMANDS to false to require a prefix after the mention or
+    // in the reply, so that bare words there always go to the chatbot.
+    matchPrefix(msg, text, from, isGroup) {
+        if (!text) return null;
+
+        const trimmed = text.trimStart();
+        const prefixes = this.getPrefixes(from, isGroup);
+        const matched = [...prefixes]
+            .sort((a, b) => b.length - a.length)
+            .find(p => trimmed.startsWith(p));
+
+        if (matched) {
+            return { prefix: matched, body: trimmed.slice(matched.length).trim(), via: 'prefix' };
+        }
+
+        const contextInfo = TriggerPolicy.contextInfo(msg);
+        if (!contextInfo) return null;
+
+        let body = null;
+        let via = null;
+        const mention = trimmed.match(/^@(\d+)\s*/);
+
+        if (mention && (contextInfo.mentionedJid || []).some(jid =>
+            this.isBotJid(jid) && jid.split('@')[0].split(':')[0] === mention[1])) {
+            body = trimmed.slice(mention[0].length);
+            via = 'mention';
+        } else if (this.isBotJid(contextInfo.participant)) {
+            body = trimmed;
+            via = 'reply';
+        }
+
+        if (body === null) return null;
+
+        const inner = prefixes.find(p => body.startsWith(p));
+        if (inner) {
+            body = body.slice(inner.length);
+        } else if (this.config.MENTION_COMMANDS === false) {
+            return null;
+        }
+        body = body.trim();
+
+        const name = this.argParser.tokenize(body)[0]?.value?.toLowerCase();
+        if (!name || !this.resolveCommand(name)) return null;
+
+        return { prefix: prefixes[0] || this.basePrefix, body, via };
+    }
+
+    async handleCommand(msg, text, from, sender, isGroup, match = null) {
+        match = match || this.matchPrefix(msg, text, from, isGroup);
+        if (!match) {
+            return { success: false, message: null };
+        }
+
+        const prefix = match.prefix;
+        const body = match.body;
+        const nameToken = this.argParser.tokenize(body)[0];
+        const commandName = (nameToken?.value || '').toLowerCase();
+        const rawArgs = nameToken ? body.slice(nameToken.end).trim() : '';
+        const argTokens = this.argParser.tokenize(rawArgs);
+
+        const command = this.resolveCommand(commandName);
 
         if (!command) {
+            const suggestions = this.suggestCommands(commandName);
+            const hint = suggestions.length > 0
+                ? `Did you mean ${suggestions.map(s => prefix + s).join(', ')}?`
+                : `Type ${prefix}menu for available commands.`;
+
             return {
                 success: false,
-                message: `❌ Unknown command. Type ${this.config.PREFIX}menu for available commands.`
+                message: `❌ Unknown command. ${hint}`
             };
         }
 
-        // Execute command
+        // Only flags the command declares are split out; subcommands re-split in checkCommand
+        const { positional } = this.argParser.splitFlags(argTokens, command.flags);
+
+        const ctx = {
+            bot: match.bot || this.bot,
+            msg: msg,
+            from: from,
+            sender: sender,
+            args: argTokens.map(token => token.value),
+            params: {},
+            flags: {},
+            text: text,
+            rawArgs: rawArgs,
+            isGroup: isGroup,
+            prefix: prefix,
+            command: commandName,
+            definition: command,
+            config: this.config,
+            state: {},
+            startedAt: Date.now()
+        };
+
         try {
-            this.logger.log(`⌨️ ${commandName} from ${sender.split('@')[0]}`, 'info');
-
-            const result = await command.execute({
-                bot: this.bot,
-                msg: msg,
-                from: from,
-                sender: sender,
-                args: args,
-                text: text,
-                isGroup: isGroup,
-                command: commandName,
-                config: this.config
+            const result = await this.runMiddleware(ctx, { argTokens, positional });
+            return result || { success: false, message: null, command: command.name };
+        } catch (error) {
+            this.logger.error(error, `middleware:${command.name}`);
+            return {
+                success: false,
+                message: `❌ Error: ${error.message}`,
+                command: command.name
+            };
+        }
+    }
+
+    async runMiddleware(ctx, parsed) {
+        const chain = [
+            ...this.middleware,
+            (ctx, next) => this.checkCommand(ctx, next, parsed),
+            (ctx) => this.executeCommand(ctx)
+        ];
+
+        const dispatch = async (index) => {
+            let called = false;
+            let downstream = null;
+
+            const next = async () => {
+                if (called) throw new Error('next() called multiple times');
+                called = true;
+                downstream = await dispatch(index + 1);
+                return downstream;
+            };
+
+            const returned = await chain[index](ctx, next);
+            if (returned === undefined || returned === downstream) return downstream;
+
+            // Short-circuit: later after-hooks see this as the result
+            ctx.result = typeof returned === 'string'
+                ? { success: false, message: returned, command: ctx.definition.name }
+                : returned;
+            ctx.duration = Date.now() - ctx.startedAt;
+            return ctx.result;
+        };
+
+        return dispatch(0);
+    }
+
+    // Persist command, chat, sender, timing and outcome to the message database
+    async trackUsage(ctx, next) {
+        const result = await next();
+
+        const status = ctx.error ? 'error' : result?.success ? 'success' : 'denied';
+        this.bot.messageCache?.recordCommandUsage({
+            command: ctx.definition.name,
+            chatId: ctx.from,
+            senderId: ctx.sender,
+            isGroup: ctx.isGroup,
+            durationMs: ctx.duration,
+            status,
+            error: ctx.error?.message || null
+        }).catch(() => {});
+
+        return result;
+    }
+
+    // Built-in policy: permissions, argument schema, then cooldowns
+    async checkCommand(ctx, next, { argTokens, positional }) {
+        // Dispatch into subcommand trees; the leaf becomes the command we check and run
+        if (ctx.definition.subcommands) {
+            const resolved = this.resolveSubcommand(ctx.definition, positional, ctx.prefix);
+            if (resolved.error) return resolved.error;
+
+            if (resolved.consumed.length > 0) {
+                ctx.subcommand = resolved.consumed.map(token => token.value.toLowerCase());
+                ctx.definition = resolved.target;
+                argTokens = argTokens.filter(token => !resolved.consumed.includes(token));
+                positional = positional.slice(resolved.consumed.length);
+                ctx.args = argTokens.map(token => token.value);
+            }
+        }
+
+        const command = ctx.definition;
+
+        // Declared flags for the command that actually runs
+        const split = this.argParser.splitFlags(argTokens, command.flags);
+        positional = split.positional;
+
+        // Check permissions before running anything
+        const denial = await this.checkPermissions(command, ctx);
+        if (denial) {
+            this.logger.log(`⛔ ${command.name} denied for ${ctx.sender.split('@')[0]}`, 'warning');
+            return denial;
+        }
+
+        // Validate declared flags and arguments
+        const flagged = this.argParser.parseFlags(command.flags, split.flags, ctx.msg);
+        if (flagged.error) {
+            return `❌ ${flagged.error}\n\n📝 *Usage:* ${this.usageFor(command, ctx.prefix)}`;
+        }
+        ctx.flags = flagged.flags;
+
+        if (command.args) {
+            const parsed = this.argParser.parse(command.args, ctx.rawArgs, {
+                tokens: argTokens, positional, flags: ctx.flags, msg: ctx.msg
             });
 
-            return {
+            if (parsed.error) {
+                return `❌ ${parsed.error}\n\n📝 *Usage:* ${this.usageFor(command, ctx.prefix)}`;
+            }
+
+            ctx.params = parsed.params;
+        }
+
+        // Cooldowns and rate budgets (owners bypass)
+        const wait = await this.checkRateLimit(command, ctx);
+        if (wait > 0) {
+            return `⏳ Slow down! Try again in ${Math.ceil(wait / 1000)}s.`;
+        }
+
+        return next();
+    }
+
+    async executeCommand(ctx) {
+        const command = ctx.definition;
+
+        // Execute command
+        try {
+            this.logger.log(`⌨️ ${ctx.command} from ${ctx.sender.split('@')[0]}`, 'info');
+
+            const result = await command.execute(ctx);
+
+            ctx.result = {
                 success: true,
                 message: result || '✅ Command executed.',
-                command: commandName
+                command: command.name
             };
 
         } catch (error) {
-            this.logger.error(error, `command:${commandName}`);
-            return {
+            this.logger.error(error, `command:${command.name}`);
+            ctx.error = error;
+            ctx.result = {
                 success: false,
-                message: `❌ Error: ${error.message}`
+                message: `❌ Error: ${error.message}`,
+                command: command.name
             };
         }
+
+        ctx.duration = Date.now() - ctx.startedAt;
+        return ctx.result;
     }
 
-    async generateHelpMenu() {
-        let menu = `📋 *${this.config.BOT_NAME} COMMANDS*\n\n`;
+    // Returns a denial message naming the missing role, or null when allowed
+    async checkPermissions(command, { from, sender, isGroup }) {
+        if (command.category === 'owner') {
+            if (!await this.groupUtils.isOwner(sender)) {
+                return '👑 This command requires the *bot owner* role.';
+            }
+        }
 
-        for (const [category, categoryName] of Object.entries(this.categories)) {
-            const categoryCommands = [];
+        if (['group', 'admin'].includes(command.category) || command.botAdminRequired) {
+            if (!isGroup) {
+                return '👥 This command only works in *groups*.';
+            }
+        }
 
-            for (const [name, cmd] of this.commands) {
-                if (cmd.category === category) {
-                    categoryCommands.push({
-                        name: name,
-                        description: cmd.description
-                    });
-                }
+        if (command.category === 'admin') {
+            if (!await this.groupUtils.isAdmin(from, sender)) {
+                return '⭐ This command requires the *group admin* role.';
             }
+        }
 
-            if (categoryCommands.length > 0) {
-                menu += `*${categoryName}:*\n`;
+        if (command.botAdminRequired) {
+            if (!await this.groupUtils.isBotAdmin(from)) {
+                return '🤖 This command requires the *bot* to be a group admin.';
+            }
+        }
 
-                for (const cmd of categoryCommands) {
-                    menu += `• ${this.config.PREFIX}${cmd.name}`;
-                    if (cmd.description && cmd.description !== 'No description') {
-                        menu += ` - ${cmd.description}`;
-                    }
-                    menu += '\n';
-                }
-                menu += '\n';
+        return null;
+    }
+
+    // Milliseconds the sender must wait before running this command, 0 if allowed.
+    // Cooldowns are per sender, a command's rateLimit is shared by the whole chat
+    // and config.COMMAND_RATE_LIMIT is a budget per sender across all commands.
+    async checkRateLimit(command, { from, sender }) {
+        const rules = [];
+
+        if (command.cooldown) {
+            rules.push({ key: `cd:${command.name}:${sender}`, cooldown: command.cooldown * 1000 });
+        }
+
+        if (command.rateLimit) {
+            rules.push({
+                key: `rl:${command.name}:${from}`,
+                limit: command.rateLimit.limit,
+                window: command.rateLimit.window * 1000
+            });
+        }
+
+        const globalLimit = this.config.COMMAND_RATE_LIMIT;
+        if (globalLimit?.limit > 0 && globalLimit?.window > 0) {
+            rules.push({
+                key: `global:${sender}`,
+                limit: globalLimit.limit,
+                window: globalLimit.window * 1000
+            });
+        }
+
+        if (rules.length === 0) return 0;
+        if (await this.groupUtils.isOwner(sender)) return 0;
+
+        return this.rateLimiter.check(command.name, rules);
+    }
+
+    // Every tool-enabled command, subcommands included
+    listTools() {
+        const tools = new Map();
+        const visit = (command) => {
+            if (command.tool) tools.set(command.tool.name, command);
+            for (const sub of new Set(command.subcommands?.values() || [])) visit(sub);
+        };
+
+        for (const command of new Set(this.commands.values())) visit(command);
+        return tools;
+    }
+
+    // Tools this chat allows (`aiTools` in group or private chat settings, else
+    // config.AI_TOOLS) and this sender would be allowed to run as typed commands
+    async getTools({ from, sender, isGroup }) {
+        const chatSettings = isGroup
+            ? this.bot.settings.getGroupSettings(from)
+            : this.bot.settings.getUserSettings(from);
+        const allowed = chatSettings.aiTools || this.config.AI_TOOLS || [];
+
+        const tools = [];
+        for (const [name, command] of this.listTools()) {
+            if (!allowed.includes(name)) continue;
+            if (await this.checkPermissions(command, { from, sender, isGroup })) continue;
+            tools.push(command.tool);
+        }
+
+        return tools;
+    }
+
+    // Run a tool call as if the sender had typed the command, so permissions,
+    // argument checks, rate limits and usage tracking all apply.
+    // Returns the text handed back to the model.
+    async runTool(name, input, { msg, from, sender, isGroup }) {
+        const tools = await this.getTools({ from, sender, isGroup });
+        const command = tools.some(tool => tool.name === name) ? this.listTools().get(name) : null;
+
+        if (!command) {
+            return `Tool "${name}" is not available in this chat.`;
+        }
+
+        const prefix = this.getPrefix(from, isGroup);
+        const body = `${command.name} ${this.argParser.serialize(command.args || [], input || {})}`.trim();
+
+        // Text replies go back to the model (it answers the user) instead of the chat.
+        // Media still goes out, since the model can't pass it on, and is reported by caption.
+        const output = [];
+        const bot = Object.create(this.bot);
+        bot.sendMessage = async (to, content, options) => {
+            if (to === from && typeof content.text === 'string' && !content.edit) {
+                output.push(content.text);
+                return null;
             }
+
+            const kind = ['image', 'video', 'audio', 'document', 'sticker'].find(type => content[type]);
+            if (kind) output.push(`[Sent ${kind}${content.caption ? `: ${content.caption}` : ''}]`);
+            return this.bot.sendMessage(to, content, options);
+        };
+
+        this.logger.log(`🛠️ AI tool ${command.name} for ${sender.split('@')[0]}`, 'info');
+        const result = await this.handleCommand(msg, prefix + body, from, sender, isGroup, { prefix, body, via: 'tool', bot });
+
+        if (!result.success) {
+            return `Failed: ${output.join('\n\n') || result.message || 'the command did not run'}`;
         }
+        return output.length > 0 ? output.join('\n\n') : `Done: ${result.message}`;
+    }
 
-        menu += `📊 Total: ${this.commands.size} commands\n`;
-        menu += `🔧 Prefix: ${this.config.PREFIX}\n\n`;
-        menu += `📝 *Note:* Admin commands work for all group members.`;
+    getStats() {
+        const categoryCounts = {};
+        for (const cmd of this.commands.values()) {
+            categoryCounts[cmd.category] = (categoryCounts[cmd.category] || 0) + 1;
+        }
 
-        return menu;
+        return {
+            totalCommands: this.commands.size,
+            totalAliases: this.aliases.size,
+            categoryCounts,
+            rateLimits: this.rateLimiter.getStats()
+        };
     }
+
+    // Options: { from, sender, isGroup, page, category }. Hides commands the sender can't run.
+    async generateHelpMenu(options = {}) {
+        return this.helpMenu.render(options);
+    }
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function editDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+    for (let i = 0; i < rows; i++) d[i][0] = i;
+    for (let j = 0; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(
+                d[i - 1][j] + 1,
+                d[i][j - 1] + 1,
+                d[i - 1][j - 1] + cost
+            );
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
 }
 
 module.exports = CommandHandler;
@@ -9,8 +9,8 @@ class GroupUtils {
     extractPhone(jid) {
         if (!jid) return '';
         
-        // Remove @s.whatsapp.net or @lid suffix
-        const phone = jid.split('@')[0];
+        // Remove @s.whatsapp.net or @lid suffix and the :device part (123:45@s.whatsapp.net)
+        const phone = jid.split('@')[0].split(':')[0];
         
         // Remove any non-digits
         return phone.replace(/\D/g, '');
@@ -44,10 +44,10 @@ class GroupUtils {
         }
     }
 
-    // Check if bot is admin
+    // Check if bot is admin; groups may list it by phone number or by LID
     async isBotAdmin(groupJid) {
-        const botJid = this.bot.sock.user.id;
-        return await this.isAdmin(groupJid, botJid);
+        const { id, lid } = this.bot.sock.user || {};
+        return !!(id && await this.isAdmin(groupJid, id)) || !!(lid && await this.isAdmin(groupJid, lid));
     }
 
     // Get group metadata
@@ -79,9 +79,16 @@ class GroupUtils {
         const ownerPhone = this.extractPhone(ownerJid);
         
         // Also check if sender matches bot user (when bot sends messages to itself)
-        const botPhone = this.extractPhone(this.bot.sock.user?.id);
+        const botUser = this.bot.sock.user;
+        const botPhones = [botUser?.id, botUser?.lid].map(jid => this.extractPhone(jid)).filter(Boolean);
         
-        return senderPhone === ownerPhone || senderPhone === botPhone;
+        return senderPhone === ownerPhone || botPhones.includes(senderPhone);
+    }
+
+    // Per-chat bot settings: anyone in their own private chat, admins (or the owner) in groups
+    async canConfigureChat(chatJid, userJid) {
+        if (!chatJid.endsWith('@g.us')) return true;
+        return await this.isAdmin(chatJid, userJid) || await this.isOwner(userJid);
     }
 
     // Tag admins silently
@@ -0,0 +1,242 @@
+// src/lib/HelpMenu.js - Paginated menu, per-command help pages and search
+const ROLE_LABELS = {
+    owner: '👑 Bot owner',
+    admin: '⭐ Group admin',
+    group: '👥 Group members (groups only)',
+    public: '👤 Everyone'
+};
+
+class HelpMenu {
+    constructor(handler) {
+        this.handler = handler;
+        this.config = handler.config;
+        this.pageSize = handler.config.MENU_PAGE_SIZE || 15;
+    }
+
+    // What the caller is allowed to see. Resolved once per menu, not per command.
+    async getCallerRoles({ from, sender, isGroup }) {
+        const groupUtils = this.handler.groupUtils;
+
+        return {
+            owner: sender ? await groupUtils.isOwner(sender) : false,
+            admin: isGroup && sender ? await groupUtils.isAdmin(from, sender) : false,
+            group: isGroup
+        };
+    }
+
+    requiredRole(command) {
+        if (command.category === 'owner') return 'owner';
+        if (command.category === 'admin') return 'admin';
+        if (command.category === 'group' || command.botAdminRequired) return 'group';
+        return 'public';
+    }
+
+    canSee(command, roles) {
+        switch (this.requiredRole(command)) {
+            case 'owner': return roles.owner;
+            case 'admin': return roles.group && roles.admin;
+            case 'group': return roles.group;
+            default: return true;
+        }
+    }
+
+    categoryLabel(category) {
+        return this.handler.categories[category] || `📁 ${category.charAt(0).toUpperCase()}${category.slice(1)} Commands`;
+    }
+
+    // Visible commands grouped by category, known categories first
+    groupVisible(roles, onlyCategory = null) {
+        const groups = new Map(Object.keys(this.handler.categories).map(c => [c, []]));
+
+        for (const command of this.handler.commands.values()) {
+            if (onlyCategory && command.category !== onlyCategory) continue;
+            if (!this.canSee(command, roles)) continue;
+
+            if (!groups.has(command.category)) groups.set(command.category, []);
+            groups.get(command.category).push(command);
+        }
+
+        for (const [category, commands] of groups) {
+            if (commands.length === 0) groups.delete(category);
+            else commands.sort((a, b) => a.name.localeCompare(b.name));
+        }
+
+        return groups;
+    }
+
+    // Resolve a category from its key ("admin") or a loose match on its label
+    findCategory(term) {
+        const wanted = term.toLowerCase();
+        const categories = new Set([
+            ...Object.keys(this.handler.categories),
+            ...[...this.handler.commands.values()].map(c => c.category)
+        ]);
+
+        return [...categories].find(c => c.toLowerCase() === wanted || c.toLowerCase() === wanted.replace(/s$/, '')) || null;
+    }
+
+    // `.menu`, `.menu 2`, `.menu admin`, `.menu admin 2`
+    async render({ from = null, sender = null, isGroup = false, page = 1, category = null } = {}) {
+        const prefixes = this.handler.getPrefixes(from, isGroup);
+        const prefix = prefixes[0] || this.handler.basePrefix;
+        const roles = await this.getCallerRoles({ from, sender, isGroup });
+        const groups = this.groupVisible(roles, category);
+
+        // Flatten so pages can split a category, repeating its header
+        const rows = [];
+        for (const [cat, commands] of groups) {
+            commands.forEach(command => rows.push({ category: cat, command }));
+        }
+
+        const totalPages = Math.max(1, Math.ceil(rows.length / this.pageSize));
+        page = Math.min(Math.max(1, parseInt(page, 10) || 1), totalPages);
+
+        let menu = `📋 *${this.config.BOT_NAME} COMMANDS*`;
+        if (category) menu += ` — ${this.categoryLabel(category)}`;
+        menu += '\n\n';
+
+        if (rows.length === 0) {
+            menu += category
+                ? `No commands you can use in this category.\n\n`
+                : `No commands available to you here.\n\n`;
+        }
+
+        let currentCategory = null;
+        for (const { category: cat, command } of rows.slice((page - 1) * this.pageSize, page * this.pageSize)) {
+            if (cat !== currentCategory) {
+                if (currentCategory !== null) menu += '\n';
+                menu += `*${this.categoryLabel(cat)}:*\n`;
+                currentCategory = cat;
+            }
+
+            menu += `• ${prefix}${command.name}`;
+            if (command.description && command.description !== 'No description') {
+                menu += ` - ${command.description}`;
+            }
+            menu += '\n';
+        }
+        if (rows.length > 0) menu += '\n';
+
+        const base = `${prefix}menu${category ? ' ' + category : ''}`;
+        menu += `📄 Page ${page}/${totalPages}`;
+        if (page < totalPages) menu += ` • next: ${base} ${page + 1}`;
+        menu += '\n';
+
+        if (!category) {
+            const counts = [...groups].map(([cat, commands]) => `${cat} (${commands.length})`).join(', ');
+            if (counts) menu += `🗂️ Categories: ${counts}\n`;
+        }
+
+        menu += `📊 Showing ${rows.length} of ${this.handler.commands.size} commands\n`;
+        menu += `🔧 Prefix: ${prefixes.join(' ')} (or @mention me)\n\n`;
+        menu += `💡 ${prefix}help <command> for details • ${prefix}help search <term>`;
+
+        return menu;
+    }
+
+    // Detail page for one command (name or alias), or a subcommand path like "group welcome"
+    async renderCommand(name, { from = null, sender = null, isGroup = false } = {}) {
+        const prefix = this.handler.getPrefix(from, isGroup);
+        const [root, ...path] = name.trim().toLowerCase().split(/\s+/);
+        let command = this.handler.resolveCommand(root.replace(/^\W+/, ''));
+        for (const part of path) {
+            command = command?.subcommands?.get(part) || null;
+        }
+        const roles = await this.getCallerRoles({ from, sender, isGroup });
+
+        if (!command || !this.canSee(command, roles)) {
+            const suggestions = this.handler.suggestCommands(name.toLowerCase())
+                .filter(s => this.canSee(this.handler.resolveCommand(s), roles));
+            return `❌ No command called *${name}*.` +
+                (suggestions.length > 0 ? ` Did you mean ${suggestions.map(s => prefix + s).join(', ')}?` : '');
+        }
+
+        let text = `📖 *${prefix}${command.name}*\n\n`;
+        text += `📝 ${command.description}\n\n`;
+        text += `⌨️ *Usage:*\n${this.handler.usageFor(command, prefix)}\n\n`;
+
+        if (command.aliases.length > 0) {
+            text += `🔀 *Aliases:* ${command.aliases.map(a => prefix + a).join(', ')}\n`;
+        }
+
+        text += `🔐 *Who can use:* ${ROLE_LABELS[this.requiredRole(command)]}\n`;
+        if (command.botAdminRequired) {
+            text += `🤖 *Bot must be admin:* yes\n`;
+        }
+        text += `🗂️ *Category:* ${this.categoryLabel(command.category)}\n`;
+
+        if (command.cooldown) {
+            text += `⏳ *Cooldown:* ${command.cooldown}s\n`;
+        }
+        if (command.rateLimit) {
+            text += `🚦 *Limit:* ${command.rateLimit.limit} per ${command.rateLimit.window}s per chat\n`;
+        }
+
+        if (command.subcommands) {
+            text += `\n🧩 *Subcommands:*\n${this.renderSubcommandList(command, prefix)}\n`;
+        }
+
+        if (command.examples.length > 0) {
+            text += `\n💡 *Examples:*\n`;
+            text += command.examples
+                .map(example => `• ${example.startsWith(this.handler.basePrefix) ? prefix + example.slice(this.handler.basePrefix.length) : example}`)
+                .join('\n');
+        }
+
+        return text.trimEnd();
+    }
+
+    // One line per subcommand: usage and description
+    renderSubcommandList(command, prefix) {
+        return [...new Set(command.subcommands.values())]
+            .map(sub => {
+                const usage = this.handler.usageFor(sub, prefix).split('\n')[0];
+                return sub.description !== 'No description' ? `• ${usage} - ${sub.description}` : `• ${usage}`;
+            })
+            .join('\n');
+    }
+
+    // `.help search <term>` over names, aliases and descriptions
+    async renderSearch(term, { from = null, sender = null, isGroup = false } = {}) {
+        const prefix = this.handler.getPrefix(from, isGroup);
+        const roles = await this.getCallerRoles({ from, sender, isGroup });
+        const wanted = term.toLowerCase().trim();
+
+        if (!wanted) {
+            return `❌ Usage: ${prefix}help search <term>`;
+        }
+
+        const matches = [];
+        for (const command of this.handler.commands.values()) {
+            if (!this.canSee(command, roles)) continue;
+
+            let score = 0;
+            if (command.name === wanted) score = 3;
+            else if (command.name.includes(wanted) || command.aliases.some(a => a.includes(wanted))) score = 2;
+            else if (command.description.toLowerCase().includes(wanted)) score = 1;
+
+            if (score > 0) matches.push({ command, score });
+        }
+
+        if (matches.length === 0) {
+            return `🔍 No commands match *${term}*.`;
+        }
+
+        matches.sort((a, b) => b.score - a.score || a.command.name.localeCompare(b.command.name));
+
+        let text = `🔍 *Commands matching "${term}"*\n\n`;
+        for (const { command } of matches.slice(0, this.pageSize)) {
+            text += `• ${prefix}${command.name}`;
+            if (command.description !== 'No description') text += ` - ${command.description}`;
+            text += '\n';
+        }
+
+        if (matches.length > this.pageSize) {
+            text += `\n…and ${matches.length - this.pageSize} more. Try a narrower term.`;
+        }
+
+        return text.trimEnd();
+    }
+}
+
+module.exports = HelpMenu;
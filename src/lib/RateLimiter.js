@@ -0,0 +1,94 @@
+// src/lib/RateLimiter.js - Command cooldowns and sliding-window rate budgets
+class RateLimiter {
+    constructor() {
+        this.cooldowns = new Map();   // key -> expiresAt
+        this.windows = new Map();     // key -> { window, hits: [timestamps] }
+        this.stats = {
+            allowed: 0,
+            limited: 0,
+            byCommand: {}
+        };
+
+        // Drop expired entries so the maps don't grow forever
+        this.sweepTimer = setInterval(() => this.sweep(), 5 * 60 * 1000);
+        this.sweepTimer.unref?.();
+    }
+
+    // Returns 0 when allowed, otherwise the milliseconds left before retrying.
+    // Nothing is recorded unless every rule passes.
+    check(commandName, rules, now = Date.now()) {
+        let wait = 0;
+
+        for (const rule of rules) {
+            wait = Math.max(wait, rule.window
+                ? this.windowWait(rule.key, rule.limit, rule.window, now)
+                : this.cooldownWait(rule.key, now));
+        }
+
+        if (wait > 0) {
+            this.stats.limited++;
+            this.stats.byCommand[commandName] = (this.stats.byCommand[commandName] || 0) + 1;
+            return wait;
+        }
+
+        for (const rule of rules) {
+            if (rule.window) {
+                const entry = this.windows.get(rule.key) || { window: rule.window, hits: [] };
+                entry.window = rule.window;
+                entry.hits.push(now);
+                this.windows.set(rule.key, entry);
+            } else {
+                this.cooldowns.set(rule.key, now + rule.cooldown);
+            }
+        }
+
+        this.stats.allowed++;
+        return 0;
+    }
+
+    cooldownWait(key, now) {
+        const expiresAt = this.cooldowns.get(key);
+        return expiresAt && expiresAt > now ? expiresAt - now : 0;
+    }
+
+    windowWait(key, limit, window, now) {
+        const hits = (this.windows.get(key)?.hits || []).filter(t => t > now - window);
+        this.windows.set(key, { window, hits });
+
+        if (hits.length < limit) return 0;
+        return hits[hits.length - limit] + window - now;
+    }
+
+    sweep(now = Date.now()) {
+        for (const [key, expiresAt] of this.cooldowns) {
+            if (expiresAt <= now) this.cooldowns.delete(key);
+        }
+
+        // A budget is dead weight once its newest hit has left its own window
+        for (const [key, { window, hits }] of this.windows) {
+            if (hits.length === 0 || hits[hits.length - 1] <= now - window) {
+                this.windows.delete(key);
+            }
+        }
+    }
+
+    reset(key) {
+        this.cooldowns.delete(key);
+        this.windows.delete(key);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            byCommand: { ...this.stats.byCommand },
+            activeCooldowns: this.cooldowns.size,
+            trackedWindows: this.windows.size
+        };
+    }
+
+    stop() {
+        clearInterval(this.sweepTimer);
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,70 @@
+// src/lib/StreamingReply.js - Show a growing AI reply by editing one WhatsApp message
+class StreamingReply {
+    constructor(bot, jid, quoted, options = {}) {
+        this.bot = bot;
+        this.jid = jid;
+        this.quoted = quoted;
+        this.interval = options.interval || 1500;
+        this.cursor = options.cursor ?? ' ▌';
+
+        this.key = null;
+        this.latest = '';
+        this.shown = '';
+        this.lastFlush = 0;
+        this.timer = null;
+        this.finished = false;
+        this.queue = Promise.resolve();
+    }
+
+    // True once any token has been queued for display
+    get started() {
+        return this.lastFlush > 0 || this.timer !== null;
+    }
+
+    // Called with the full text so far; sends at most once per interval
+    update(text) {
+        if (this.finished || !text.trim()) return;
+
+        this.latest = text;
+        if (this.timer) return;
+
+        const wait = Math.max(0, this.lastFlush + this.interval - Date.now());
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.enqueue(this.latest + this.cursor);
+        }, wait);
+    }
+
+    // Replace the draft with the final text (footer included)
+    async finalize(text) {
+        this.finished = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        this.enqueue(text);
+        await this.queue;
+    }
+
+    // First write sends the message, later ones edit it. Writes never overlap.
+    enqueue(text) {
+        this.lastFlush = Date.now();
+
+        this.queue = this.queue.then(async () => {
+            if (text === this.shown) return;
+
+            try {
+                if (!this.key) {
+                    const sent = await this.bot.sock.sendMessage(this.jid, { text }, { quoted: this.quoted });
+                    this.key = sent?.key || null;
+                } else {
+                    await this.bot.sock.sendMessage(this.jid, { text, edit: this.key });
+                }
+                this.shown = text;
+            } catch (error) {
+                this.bot.logger.warning(`Streaming update failed: ${error.message}`, 'AI');
+            }
+        });
+    }
+}
+
+module.exports = StreamingReply;
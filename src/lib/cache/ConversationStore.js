@@ -0,0 +1,278 @@
+// src/lib/cache/ConversationStore.js - SQLite persistence for chatbot history and context
+const sqlite3 = require('sqlite3').verbose();
+
+class ConversationStore {
+    constructor(dbPath = './data/chatbot.db') {
+        this.dbPath = dbPath;
+        this.db = null;
+        this.initialized = false;
+
+        // Initialize database
+        this.ready = this.initDatabase().catch(() => {});
+    }
+
+    async initDatabase() {
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    console.error('Chatbot database error:', err);
+                    reject(err);
+                    return;
+                }
+
+                this.db.serialize(() => {
+                    // One row per turn; a thread is one user in one chat
+                    this.db.run(`
+                        CREATE TABLE IF NOT EXISTS chat_history (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            threadId TEXT NOT NULL,
+                            userId TEXT NOT NULL,
+                            chatId TEXT NOT NULL,
+                            role TEXT NOT NULL,
+                            message TEXT NOT NULL,
+                            timestamp INTEGER NOT NULL
+                        )
+                    `);
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_history_thread ON chat_history(threadId, id)');
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_history_user ON chat_history(userId)');
+
+                    this.db.run(`
+                        CREATE TABLE IF NOT EXISTS chat_contexts (
+                            threadId TEXT PRIMARY KEY,
+                            userId TEXT NOT NULL,
+                            chatId TEXT NOT NULL,
+                            data TEXT,
+                            lastActive INTEGER NOT NULL
+                        )
+                    `, (err) => {
+                        if (err) {
+                            console.error('Chatbot table creation error:', err);
+                            reject(err);
+                            return;
+                        }
+
+                        console.log('✅ SQLite chatbot history initialized');
+                        this.initialized = true;
+                        resolve();
+                    });
+                });
+            });
+        });
+    }
+
+    // Append a turn and keep only the newest `depth` turns of the thread
+    async addMessage({ threadId, userId, chatId, role, message, timestamp }, depth) {
+        await this.ready;
+        if (!this.initialized) return false;
+
+        try {
+            await this.run(`
+                INSERT INTO chat_history (threadId, userId, chatId, role, message, timestamp)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [threadId, userId, chatId, role, message, timestamp]);
+
+            await this.run(`
+                DELETE FROM chat_history WHERE threadId = ? AND id NOT IN (
+                    SELECT id FROM chat_history WHERE threadId = ? ORDER BY id DESC LIMIT ?
+                )
+            `, [threadId, threadId, depth]);
+
+            return true;
+        } catch (error) {
+            console.error('History insert error:', error);
+            return false;
+        }
+    }
+
+    // Oldest first, like the in-memory history
+    async getHistory(threadId, limit) {
+        await this.ready;
+        if (!this.initialized) return [];
+
+        try {
+            const rows = await this.all(`
+                SELECT role, message, timestamp FROM chat_history
+                WHERE threadId = ? ORDER BY id DESC LIMIT ?
+            `, [threadId, limit]);
+
+            return rows.reverse();
+        } catch (error) {
+            console.error('History read error:', error);
+            return [];
+        }
+    }
+
+    async saveContext(threadId, userId, chatId, context) {
+        await this.ready;
+        if (!this.initialized) return false;
+
+        try {
+            await this.run(`
+                INSERT OR REPLACE INTO chat_contexts (threadId, userId, chatId, data, lastActive)
+                VALUES (?, ?, ?, ?, ?)
+            `, [threadId, userId, chatId, JSON.stringify(context), context.lastActive || Date.now()]);
+            return true;
+        } catch (error) {
+            console.error('Context save error:', error);
+            return false;
+        }
+    }
+
+    async getContext(threadId) {
+        await this.ready;
+        if (!this.initialized) return null;
+
+        try {
+            const [row] = await this.all('SELECT data FROM chat_contexts WHERE threadId = ?', [threadId]);
+            return row ? JSON.parse(row.data) : null;
+        } catch (error) {
+            console.error('Context read error:', error);
+            return null;
+        }
+    }
+
+    // Every thread a user has, newest first
+    async getUserThreads(userId) {
+        await this.ready;
+        if (!this.initialized) return [];
+
+        return this.all(`
+            SELECT threadId, chatId, COUNT(*) as turns, MAX(timestamp) as lastActive
+            FROM chat_history WHERE userId = ?
+            GROUP BY threadId ORDER BY lastActive DESC
+        `, [userId]).catch(() => []);
+    }
+
+    // Full export of a user's conversations: { threadId: { chatId, messages } }
+    async exportUser(userId) {
+        await this.ready;
+        if (!this.initialized) return {};
+
+        const rows = await this.all(`
+            SELECT threadId, chatId, role, message, timestamp FROM chat_history
+            WHERE userId = ? ORDER BY threadId, id
+        `, [userId]).catch(() => []);
+
+        const threads = {};
+        for (const row of rows) {
+            if (!threads[row.threadId]) {
+                threads[row.threadId] = { chatId: row.chatId, messages: [] };
+            }
+            threads[row.threadId].messages.push({ role: row.role, message: row.message, timestamp: row.timestamp });
+        }
+
+        return threads;
+    }
+
+    // Remove a thread's turns up to and including `timestamp` (they were folded into its
+    // summary). By time rather than count, so turns added meanwhile are never hit.
+    async deleteUntil(threadId, timestamp) {
+        await this.ready;
+        if (!this.initialized) return 0;
+
+        return this.run(
+            'DELETE FROM chat_history WHERE threadId = ? AND timestamp <= ?',
+            [threadId, timestamp]
+        ).catch(() => 0);
+    }
+
+    async clearThread(threadId) {
+        await this.ready;
+        if (!this.initialized) return false;
+
+        try {
+            await this.run('DELETE FROM chat_history WHERE threadId = ?', [threadId]);
+            await this.run('DELETE FROM chat_contexts WHERE threadId = ?', [threadId]);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async clearUser(userId) {
+        await this.ready;
+        if (!this.initialized) return false;
+
+        try {
+            await this.run('DELETE FROM chat_history WHERE userId = ?', [userId]);
+            await this.run('DELETE FROM chat_contexts WHERE userId = ?', [userId]);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Forget threads nobody has touched for `maxIdleMs`
+    async cleanupExpired(maxIdleMs) {
+        await this.ready;
+        if (!this.initialized) return 0;
+
+        const cutoff = Date.now() - maxIdleMs;
+
+        try {
+            const expired = await this.all(`
+                SELECT threadId FROM chat_history GROUP BY threadId HAVING MAX(timestamp) < ?
+            `, [cutoff]);
+
+            for (const { threadId } of expired) {
+                await this.run('DELETE FROM chat_history WHERE threadId = ?', [threadId]);
+            }
+            await this.run('DELETE FROM chat_contexts WHERE lastActive < ?', [cutoff]);
+
+            if (expired.length > 0) {
+                console.log(`🧹 Chatbot forgot ${expired.length} idle conversations`);
+            }
+            return expired.length;
+        } catch (error) {
+            console.error('History cleanup error:', error);
+            return 0;
+        }
+    }
+
+    async getStats() {
+        await this.ready;
+        if (!this.initialized) return { storedTurns: 0, storedThreads: 0 };
+
+        const [row] = await this.all(`
+            SELECT COUNT(*) as storedTurns, COUNT(DISTINCT threadId) as storedThreads FROM chat_history
+        `).catch(() => [{}]);
+
+        return {
+            storedTurns: row?.storedTurns || 0,
+            storedThreads: row?.storedThreads || 0
+        };
+    }
+
+    run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(this.changes);
+            });
+        });
+    }
+
+    all(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows || []);
+            });
+        });
+    }
+
+    // Close database
+    close() {
+        if (this.db) {
+            this.db.close();
+        }
+    }
+}
+
+module.exports = ConversationStore;
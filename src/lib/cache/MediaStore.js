@@ -0,0 +1,106 @@
+// src/lib/cache/MediaStore.js - Encrypted on-disk store for media bytes
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const SALT_LENGTH = 16;
+
+class MediaStore {
+    constructor({ dir = './data/media', key = null, logger = null } = {}) {
+        this.dir = dir;
+        this.logger = logger;
+        this.key = null;
+        this.nameKey = null;
+
+        // Without a key nothing is written: media is never kept in the clear
+        if (key) this.deriveKeys(String(key));
+    }
+
+    get enabled() {
+        return !!this.key;
+    }
+
+    // The passphrase goes through scrypt with a random salt kept next to the files,
+    // then HKDF splits it into separate keys for file names and for AES-256-GCM
+    deriveKeys(passphrase) {
+        const saltFile = path.join(this.dir, 'salt');
+        let salt;
+        try {
+            salt = fs.readFileSync(saltFile);
+        } catch (error) {
+            salt = crypto.randomBytes(SALT_LENGTH);
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.writeFileSync(saltFile, salt, { flag: 'wx' });
+        }
+
+        const master = crypto.scryptSync(passphrase, salt, 32);
+        this.nameKey = Buffer.from(crypto.hkdfSync('sha256', master, salt, 'media-store names', 32));
+        this.key = Buffer.from(crypto.hkdfSync('sha256', master, salt, 'media-store encryption', 32));
+    }
+
+    // Files are named by a keyed hash of their content, so identical media is
+    // stored once and the names don't reveal which well-known files are kept
+    hashOf(buffer) {
+        return crypto.createHmac('sha256', this.nameKey).update(buffer).digest('hex');
+    }
+
+    pathFor(hash) {
+        if (!/^[a-f0-9]{64}$/.test(hash)) throw new Error(`Invalid media hash: ${hash}`);
+        return path.join(this.dir, hash.slice(0, 2), `${hash}.bin`);
+    }
+
+    // Encrypt and write; returns the content hash
+    async put(buffer) {
+        if (!this.enabled) throw new Error('Media store has no encryption key');
+
+        const hash = this.hashOf(buffer);
+        const file = this.pathFor(hash);
+        if (fs.existsSync(file)) return hash;
+
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+        // iv | auth tag | ciphertext, written to a temp file first so a crash never leaves half a file
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.writeFile(temp, Buffer.concat([iv, cipher.getAuthTag(), encrypted]));
+        await fs.promises.rename(temp, file);
+
+        return hash;
+    }
+
+    // Decrypted bytes, or null if the file is gone or fails authentication
+    async get(hash) {
+        if (!this.enabled) return null;
+
+        let data;
+        try {
+            data = await fs.promises.readFile(this.pathFor(hash));
+        } catch (error) {
+            return null;
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, data.subarray(0, IV_LENGTH));
+            decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+            return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+        } catch (error) {
+            this.logger?.error(`Media ${hash} could not be decrypted (wrong MEDIA_STORE_KEY?)`, 'CACHE');
+            return null;
+        }
+    }
+
+    async remove(hash) {
+        try {
+            await fs.promises.unlink(this.pathFor(hash));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = MediaStore;
@@ -1,11 +1,35 @@
 // src/lib/cache/MessageCache.js - SQLite3 Cache System
 const sqlite3 = require('sqlite3').verbose();
+const MediaStore = require('./MediaStore');
+
+// Media keys and hashes are Uint8Arrays; plain JSON would turn them into
+// {"0":..,"1":..} objects that can no longer be used to download the media
+function bufferReplacer(key, value) {
+    if (value instanceof Uint8Array) {
+        return { type: 'Buffer', data: Buffer.from(value).toString('base64') };
+    }
+    return value;
+}
+
+function bufferReviver(key, value) {
+    if (value && value.type === 'Buffer' && (typeof value.data === 'string' || Array.isArray(value.data))) {
+        return typeof value.data === 'string' ? Buffer.from(value.data, 'base64') : Buffer.from(value.data);
+    }
+    return value;
+}
 
 class MessageCache {
-    constructor(config) {
+    constructor(config, logger = null) {
         this.config = config;
         this.db = null;
+        this.mediaStore = new MediaStore({
+            dir: config?.MEDIA_STORE_DIR,
+            key: config?.MEDIA_STORE_KEY,
+            logger
+        });
+        this.mediaLocks = new Map();    // hash -> tail of the queue of store/prune tasks
         this.initialized = false;
+        this.searchEnabled = false;
         this.stats = {
             totalMessages: 0,
             deletedRecovered: 0,
@@ -37,6 +61,10 @@ class MessageCache {
                         textContent TEXT,
                         isViewOnce INTEGER DEFAULT 0,
                         messageData TEXT,
+                        mediaHash TEXT,
+                        mediaMimeType TEXT,
+                        mediaSize INTEGER,
+                        revokedAt INTEGER,
                         createdAt INTEGER DEFAULT (unixepoch())
                     )
                 `, (err) => {
@@ -50,14 +78,97 @@ class MessageCache {
                     this.db.run('CREATE INDEX IF NOT EXISTS idx_chatId ON messages(chatId)');
                     this.db.run('CREATE INDEX IF NOT EXISTS idx_timestamp ON messages(timestamp)');
                     
-                    console.log('✅ SQLite message cache initialized');
-                    this.initialized = true;
-                    resolve();
+                    // Databases from before the media store lack the media columns
+                    for (const column of ['mediaHash TEXT', 'mediaMimeType TEXT', 'mediaSize INTEGER']) {
+                        this.db.run(`ALTER TABLE messages ADD COLUMN ${column}`, () => {});
+                    }
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_media_hash ON messages(mediaHash)', () => {});
+                    
+                    // ...and the time a message was deleted for everyone
+                    this.db.run('ALTER TABLE messages ADD COLUMN revokedAt INTEGER', () => {});
+                    
+                    // Command usage analytics
+                    this.db.run(`
+                        CREATE TABLE IF NOT EXISTS command_usage (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            command TEXT NOT NULL,
+                            chatId TEXT NOT NULL,
+                            senderId TEXT NOT NULL,
+                            isGroup INTEGER DEFAULT 0,
+                            durationMs INTEGER,
+                            status TEXT NOT NULL,
+                            error TEXT,
+                            timestamp INTEGER NOT NULL
+                        )
+                    `);
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_usage_timestamp ON command_usage(timestamp)');
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_usage_command ON command_usage(command)');
+                    
+                    // Every version of an edited message; version 0 is the original
+                    this.db.run(`
+                        CREATE TABLE IF NOT EXISTS message_edits (
+                            id INTEGER PRIMARY KEY AUTOINCREMENT,
+                            messageId TEXT NOT NULL,
+                            chatId TEXT NOT NULL,
+                            senderId TEXT NOT NULL,
+                            version INTEGER NOT NULL,
+                            textContent TEXT,
+                            editedAt INTEGER NOT NULL,
+                            UNIQUE(messageId, version)
+                        )
+                    `);
+                    this.db.run('CREATE INDEX IF NOT EXISTS idx_edits_message ON message_edits(messageId, chatId)');
+                    
+                    this.initSearchIndex().then(() => {
+                        console.log('✅ SQLite message cache initialized');
+                        this.initialized = true;
+                        resolve();
+                    });
                 });
             });
         });
     }
     
+    // FTS5 index over textContent. Triggers keep it in sync with every insert,
+    // delete (cleanup included) and edit; without FTS5, search falls back to LIKE.
+    async initSearchIndex() {
+        try {
+            const [existing] = await this.queryAll("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'");
+            
+            await this.runQuery(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+                    textContent, content = 'messages', content_rowid = 'rowid',
+                    tokenize = 'unicode61 remove_diacritics 2'
+                )
+            `);
+            
+            await this.runQuery(`
+                CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+                    INSERT INTO messages_fts (rowid, textContent) VALUES (new.rowid, new.textContent);
+                END
+            `);
+            await this.runQuery(`
+                CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+                    INSERT INTO messages_fts (messages_fts, rowid, textContent) VALUES ('delete', old.rowid, old.textContent);
+                END
+            `);
+            await this.runQuery(`
+                CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF textContent ON messages BEGIN
+                    INSERT INTO messages_fts (messages_fts, rowid, textContent) VALUES ('delete', old.rowid, old.textContent);
+                    INSERT INTO messages_fts (rowid, textContent) VALUES (new.rowid, new.textContent);
+                END
+            `);
+            
+            // Index messages cached before search existed
+            if (!existing) await this.runQuery("INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')");
+            
+            this.searchEnabled = true;
+        } catch (error) {
+            console.error('Full-text search unavailable, using LIKE:', error.message);
+            this.searchEnabled = false;
+        }
+    }
+    
     // Add message to cache
     addMessage(msg) {
         if (!this.initialized || !msg.message) return null;
@@ -72,13 +183,22 @@ class MessageCache {
                 const messageType = this.detectMessageType(msg);
                 const textContent = this.extractText(msg);
                 const isViewOnce = this.checkViewOnce(msg) ? 1 : 0;
-                const messageData = JSON.stringify(msg);
+                const messageData = JSON.stringify(msg, bufferReplacer);
                 
-                // Insert or replace
+                // Insert, or update in place so a stored media link (and the rowid) survives
                 this.db.run(`
-                    INSERT OR REPLACE INTO messages 
+                    INSERT INTO messages 
                     (id, chatId, senderId, senderName, timestamp, messageType, textContent, isViewOnce, messageData)
                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    ON CONFLICT(id) DO UPDATE SET
+                        chatId = excluded.chatId,
+                        senderId = excluded.senderId,
+                        senderName = excluded.senderName,
+                        timestamp = excluded.timestamp,
+                        messageType = excluded.messageType,
+                        textContent = excluded.textContent,
+                        isViewOnce = excluded.isViewOnce,
+                        messageData = excluded.messageData
                 `, [id, chatId, senderId, senderName, timestamp, messageType, textContent, isViewOnce, messageData], 
                 (err) => {
                     if (err) {
@@ -123,7 +243,7 @@ class MessageCache {
                 // Parse message data
                 let message = null;
                 try {
-                    message = JSON.parse(row.messageData);
+                    message = JSON.parse(row.messageData, bufferReviver);
                 } catch (e) {
                     console.error('Parse error:', e);
                 }
@@ -137,21 +257,239 @@ class MessageCache {
                     messageType: row.messageType,
                     textContent: row.textContent,
                     isViewOnce: row.isViewOnce === 1,
+                    mediaHash: row.mediaHash || null,
+                    mediaMimeType: row.mediaMimeType || null,
+                    revokedAt: row.revokedAt || null,
                     message: message
                 });
             });
         });
     }
     
-    // Delete message from cache
-    deleteMessage(messageId) {
-        if (!this.initialized) return Promise.resolve(false);
+    // Store an edit as a new revision and update the cached text.
+    // Returns { version, previous, senderId } or null when the message isn't cached or nothing changed.
+    async recordEdit({ messageId, chatId, newText, editedAt = Date.now() }) {
+        if (!this.initialized) return null;
         
-        return new Promise((resolve) => {
-            this.db.run('DELETE FROM messages WHERE id = ?', [messageId], (err) => {
-                resolve(!err);
+        try {
+            const [row] = await this.queryAll(
+                'SELECT senderId, timestamp, textContent FROM messages WHERE id = ? AND chatId = ?',
+                [messageId, chatId]
+            );
+            if (!row || row.textContent === newText) return null;
+            
+            const [last] = await this.queryAll(
+                'SELECT MAX(version) as version FROM message_edits WHERE messageId = ? AND chatId = ?',
+                [messageId, chatId]
+            );
+            let version = last?.version ?? null;
+            
+            // First edit: keep the original as version 0
+            if (version === null) {
+                await this.runQuery(`
+                    INSERT INTO message_edits (messageId, chatId, senderId, version, textContent, editedAt)
+                    VALUES (?, ?, ?, 0, ?, ?)
+                `, [messageId, chatId, row.senderId, row.textContent, row.timestamp]);
+                version = 0;
+            }
+            
+            await this.runQuery(`
+                INSERT INTO message_edits (messageId, chatId, senderId, version, textContent, editedAt)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [messageId, chatId, row.senderId, version + 1, newText, editedAt]);
+            
+            await this.runQuery('UPDATE messages SET textContent = ? WHERE id = ? AND chatId = ?', [newText, messageId, chatId]);
+            
+            return { version: version + 1, previous: row.textContent, senderId: row.senderId };
+        } catch (error) {
+            console.error('Edit insert error:', error);
+            return null;
+        }
+    }
+    
+    // All versions of a message, oldest first (empty if it was never edited)
+    async getEdits(messageId, chatId) {
+        if (!this.initialized) return [];
+        
+        return this.queryAll(`
+            SELECT version, textContent, editedAt, senderId FROM message_edits
+            WHERE messageId = ? AND chatId = ? ORDER BY version ASC
+        `, [messageId, chatId]).catch(() => []);
+    }
+    
+    // Note that a message was deleted for everyone; search and export leave it out from then on
+    async markRevoked(messageId, chatId, revokedAt = Date.now()) {
+        if (!this.initialized) return false;
+        
+        return this.runQuery(
+            'UPDATE messages SET revokedAt = COALESCE(revokedAt, ?) WHERE id = ? AND chatId = ?',
+            [revokedAt, messageId, chatId]
+        ).then(changes => changes > 0).catch(() => false);
+    }
+    
+    // Encrypt media bytes into the media store and link them to the message row.
+    // Returns the content hash, or null when the store is off or the message isn't cached.
+    async storeMedia(messageId, chatId, buffer, mimeType) {
+        if (!this.initialized || !this.mediaStore.enabled) return null;
+        
+        try {
+            const hash = this.mediaStore.hashOf(buffer);
+            return await this.withMediaLock(hash, async () => {
+                await this.mediaStore.put(buffer);
+                const changes = await this.runQuery(
+                    'UPDATE messages SET mediaHash = ?, mediaMimeType = ?, mediaSize = ? WHERE id = ? AND chatId = ?',
+                    [hash, mimeType, buffer.length, messageId, chatId]
+                );
+                
+                if (changes === 0) {
+                    await this.removeUnusedMedia(hash);
+                    return null;
+                }
+                return hash;
             });
+        } catch (error) {
+            console.error('Media store error:', error);
+            return null;
+        }
+    }
+    
+    // Stored bytes for a message: { buffer, mimeType, size } or null
+    async getMedia(messageId, chatId) {
+        if (!this.initialized || !this.mediaStore.enabled) return null;
+        
+        const [row] = await this.queryAll(
+            'SELECT mediaHash, mediaMimeType FROM messages WHERE id = ? AND chatId = ?',
+            [messageId, chatId]
+        ).catch(() => []);
+        if (!row?.mediaHash) return null;
+        
+        const buffer = await this.mediaStore.get(row.mediaHash);
+        return buffer ? { buffer, mimeType: row.mediaMimeType, size: buffer.length } : null;
+    }
+    
+    // Remove stored files no message row points at any more (identical media is shared)
+    async pruneMedia(hashes) {
+        let removed = 0;
+        
+        for (const hash of new Set(hashes.filter(Boolean))) {
+            if (await this.withMediaLock(hash, () => this.removeUnusedMedia(hash))) removed++;
+        }
+        return removed;
+    }
+    
+    // Callers hold the hash's media lock
+    async removeUnusedMedia(hash) {
+        const [row] = await this.queryAll('SELECT 1 FROM messages WHERE mediaHash = ? LIMIT 1', [hash]).catch(() => [1]);
+        return !row && await this.mediaStore.remove(hash);
+    }
+    
+    // Stores and prunes of one file run one at a time, so a prune can't unlink it
+    // between another message's write and the update that links the row to it
+    withMediaLock(hash, task) {
+        const run = (this.mediaLocks.get(hash) || Promise.resolve()).then(task);
+        const tail = run.catch(() => {});
+        this.mediaLocks.set(hash, tail);
+        tail.then(() => {
+            if (this.mediaLocks.get(hash) === tail) this.mediaLocks.delete(hash);
         });
+        return run;
+    }
+    
+    // Search cached text, newest first. Filters: chatId (null = every chat), senderId,
+    // since/until (ms timestamps) and type (messageType). Messages deleted for everyone
+    // are skipped unless includeRevoked is set. Returns { total, results }.
+    async searchMessages({ query, chatId = null, senderId = null, since = null, until = null, type = null, includeRevoked = false, limit = 10, offset = 0 }) {
+        if (!this.initialized) return { total: 0, results: [] };
+        
+        const where = [];
+        const params = [];
+        let source;
+        let snippet;
+        
+        if (this.searchEnabled) {
+            const match = this.toMatchQuery(query);
+            if (!match) return { total: 0, results: [] };
+            
+            source = 'messages_fts JOIN messages m ON m.rowid = messages_fts.rowid';
+            snippet = "snippet(messages_fts, 0, '*', '*', '…', 16)";
+            where.push('messages_fts MATCH ?');
+            params.push(match);
+        } else {
+            source = 'messages m';
+            snippet = 'm.textContent';
+            where.push("m.textContent LIKE ? ESCAPE '\\'");
+            params.push(`%${String(query).replace(/[\\%_]/g, char => '\\' + char)}%`);
+        }
+        
+        if (chatId) { where.push('m.chatId = ?'); params.push(chatId); }
+        if (senderId) { where.push('m.senderId = ?'); params.push(senderId); }
+        if (since) { where.push('m.timestamp >= ?'); params.push(since); }
+        if (until) { where.push('m.timestamp <= ?'); params.push(until); }
+        if (type) { where.push('m.messageType = ?'); params.push(type); }
+        if (!includeRevoked) where.push('m.revokedAt IS NULL');
+        
+        const clause = where.join(' AND ');
+        
+        try {
+            const [count] = await this.queryAll(`SELECT COUNT(*) as total FROM ${source} WHERE ${clause}`, params);
+            const results = await this.queryAll(`
+                SELECT m.id, m.chatId, m.senderId, m.senderName, m.timestamp, m.messageType, m.revokedAt, ${snippet} as snippet
+                FROM ${source} WHERE ${clause}
+                ORDER BY m.timestamp DESC, m.rowid DESC
+                LIMIT ? OFFSET ?
+            `, [...params, limit, offset]);
+            
+            return { total: count?.total || 0, results };
+        } catch (error) {
+            console.error('Search error:', error);
+            return { total: 0, results: [] };
+        }
+    }
+    
+    // One chat's messages in time order, for exports. since/until are ms timestamps;
+    // messages deleted for everyone are left out unless includeRevoked is set.
+    async getChatMessages(chatId, { since = null, until = null, includeRevoked = false, limit = 5000 } = {}) {
+        if (!this.initialized) return [];
+        
+        const params = [chatId];
+        let query = `
+            SELECT rowid as seq, id, senderId, senderName, timestamp, messageType, textContent, isViewOnce, mediaHash, revokedAt
+            FROM messages WHERE chatId = ?`;
+        if (since) { query += ' AND timestamp >= ?'; params.push(since); }
+        if (until) { query += ' AND timestamp <= ?'; params.push(until); }
+        if (!includeRevoked) query += ' AND revokedAt IS NULL';
+        
+        // The newest `limit` messages, returned oldest first
+        query = `SELECT * FROM (${query} ORDER BY timestamp DESC, seq DESC LIMIT ?) ORDER BY timestamp ASC, seq ASC`;
+        params.push(limit);
+        
+        return this.queryAll(query, params).catch(() => []);
+    }
+    
+    // User terms -> FTS5 query: every word must match, `word*` matches a prefix.
+    // Words are quoted so punctuation and FTS operators are searched literally.
+    toMatchQuery(query = '') {
+        const terms = String(query).split(/\s+/).map(term => {
+            const prefix = term.endsWith('*');
+            const word = term.replace(/\*+$/, '').replace(/"/g, '');
+            return word ? `"${word}"${prefix ? '*' : ''}` : null;
+        }).filter(Boolean);
+        
+        return terms.length > 0 ? terms.join(' ') : null;
+    }
+    
+    // Delete message from cache
+    async deleteMessage(messageId) {
+        if (!this.initialized) return false;
+        
+        try {
+            const rows = await this.queryAll('SELECT mediaHash FROM messages WHERE id = ?', [messageId]);
+            await this.runQuery('DELETE FROM messages WHERE id = ?', [messageId]);
+            await this.pruneMedia(rows.map(row => row.mediaHash));
+            return true;
+        } catch (error) {
+            return false;
+        }
     }
     
     // Cleanup messages older than 24 hours
@@ -160,15 +498,143 @@ class MessageCache {
         
         const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
         
-        this.db.run('DELETE FROM messages WHERE timestamp < ?', [oneDayAgo], (err) => {
-            if (!err) {
-                this.stats.lastCleanup = new Date().toISOString();
-                this.db.get('SELECT changes() as cleaned', (err, row) => {
-                    if (row && row.cleaned > 0) {
-                        console.log(`🧹 SQLite cleaned ${row.cleaned} old messages`);
-                    }
-                });
-            }
+        // Media files expire with their message: note which ones before the rows go
+        this.db.all('SELECT DISTINCT mediaHash FROM messages WHERE timestamp < ? AND mediaHash IS NOT NULL', [oneDayAgo], (err, mediaRows) => {
+            const expiredMedia = (mediaRows || []).map(row => row.mediaHash);
+            
+            this.db.run('DELETE FROM messages WHERE timestamp < ?', [oneDayAgo], (err) => {
+                if (!err) {
+                    this.stats.lastCleanup = new Date().toISOString();
+                    this.db.get('SELECT changes() as cleaned', (err, row) => {
+                        if (row && row.cleaned > 0) {
+                            console.log(`🧹 SQLite cleaned ${row.cleaned} old messages`);
+                        }
+                        
+                        // Revisions go with their message
+                        this.db.run('DELETE FROM message_edits WHERE messageId NOT IN (SELECT id FROM messages)');
+                        
+                        this.pruneMedia(expiredMedia).then(removed => {
+                            if (removed > 0) console.log(`🧹 Removed ${removed} expired media files`);
+                        });
+                    });
+                }
+            });
+        });
+        
+        this.cleanupCommandUsage();
+    }
+    
+    // Record one command invocation (status: success | error | denied)
+    recordCommandUsage({ command, chatId, senderId, isGroup, durationMs, status, error = null }) {
+        if (!this.initialized) return Promise.resolve(false);
+        
+        return new Promise((resolve) => {
+            this.db.run(`
+                INSERT INTO command_usage 
+                (command, chatId, senderId, isGroup, durationMs, status, error, timestamp)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [command, chatId, senderId, isGroup ? 1 : 0, durationMs ?? null, status, error, Date.now()],
+            (err) => {
+                if (err) {
+                    console.error('Usage insert error:', err);
+                }
+                resolve(!err);
+            });
+        });
+    }
+    
+    // Aggregated command usage since a timestamp, optionally for one chat
+    async getCommandStats({ since = 0, chatId = null, limit = 5 } = {}) {
+        const empty = { total: 0, errors: 0, denied: 0, users: 0, topCommands: [], errorRates: [], slowest: [], perGroup: [] };
+        if (!this.initialized) return empty;
+        
+        let where = 'WHERE timestamp >= ?';
+        const params = [since];
+        if (chatId) {
+            where += ' AND chatId = ?';
+            params.push(chatId);
+        }
+        
+        try {
+            const [totals] = await this.queryAll(`
+                SELECT 
+                    COUNT(*) as total,
+                    SUM(status = 'error') as errors,
+                    SUM(status = 'denied') as denied,
+                    COUNT(DISTINCT senderId) as users
+                FROM command_usage ${where}
+            `, params);
+            
+            const topCommands = await this.queryAll(`
+                SELECT command, COUNT(*) as uses
+                FROM command_usage ${where}
+                GROUP BY command ORDER BY uses DESC LIMIT ?
+            `, [...params, limit]);
+            
+            const errorRates = await this.queryAll(`
+                SELECT command, COUNT(*) as uses, SUM(status = 'error') as errors
+                FROM command_usage ${where} AND status != 'denied'
+                GROUP BY command HAVING errors > 0
+                ORDER BY (errors * 1.0 / uses) DESC, errors DESC LIMIT ?
+            `, [...params, limit]);
+            
+            const slowest = await this.queryAll(`
+                SELECT command, AVG(durationMs) as avgMs, MAX(durationMs) as maxMs, COUNT(*) as uses
+                FROM command_usage ${where} AND status != 'denied' AND durationMs IS NOT NULL
+                GROUP BY command ORDER BY avgMs DESC LIMIT ?
+            `, [...params, limit]);
+            
+            const perGroup = await this.queryAll(`
+                SELECT chatId, COUNT(*) as uses, COUNT(DISTINCT senderId) as users
+                FROM command_usage ${where} AND isGroup = 1
+                GROUP BY chatId ORDER BY uses DESC LIMIT ?
+            `, [...params, limit]);
+            
+            return {
+                total: totals?.total || 0,
+                errors: totals?.errors || 0,
+                denied: totals?.denied || 0,
+                users: totals?.users || 0,
+                topCommands,
+                errorRates,
+                slowest,
+                perGroup
+            };
+        } catch (error) {
+            console.error('Usage stats error:', error);
+            return empty;
+        }
+    }
+    
+    // Drop usage rows older than N days
+    cleanupCommandUsage(maxAgeDays = 90) {
+        if (!this.initialized) return;
+        
+        const cutoff = Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000);
+        this.db.run('DELETE FROM command_usage WHERE timestamp < ?', [cutoff]);
+    }
+    
+    queryAll(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows || []);
+            });
+        });
+    }
+    
+    runQuery(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(this.changes);
+            });
         });
     }
     
@@ -203,14 +669,21 @@ class MessageCache {
     }
     
     // Helper methods
+    // View-once media arrives wrapped: { viewOnceMessageV2: { message: { imageMessage } } }
+    unwrapViewOnce(message) {
+        const wrapper = message?.viewOnceMessage || message?.viewOnceMessageV2 || message?.viewOnceMessageV2Extension;
+        return wrapper?.message || message;
+    }
+    
     detectMessageType(msg) {
         if (!msg.message) return 'unknown';
-        if (msg.message.imageMessage) return 'image';
-        if (msg.message.videoMessage) return 'video';
-        if (msg.message.audioMessage) return 'audio';
-        if (msg.message.documentMessage) return 'document';
-        if (msg.message.stickerMessage) return 'sticker';
-        if (msg.message.conversation || msg.message.extendedTextMessage) return 'text';
+        const message = this.unwrapViewOnce(msg.message);
+        if (message.imageMessage) return 'image';
+        if (message.videoMessage) return 'video';
+        if (message.audioMessage) return 'audio';
+        if (message.documentMessage) return 'document';
+        if (message.stickerMessage) return 'sticker';
+        if (message.conversation || message.extendedTextMessage) return 'text';
         return 'unknown';
     }
     
@@ -219,17 +692,20 @@ class MessageCache {
             msg.message?.imageMessage?.viewOnce ||
             msg.message?.videoMessage?.viewOnce ||
             msg.message?.audioMessage?.viewOnce ||
-            msg.message?.viewOnceMessage
+            msg.message?.viewOnceMessage ||
+            msg.message?.viewOnceMessageV2 ||
+            msg.message?.viewOnceMessageV2Extension
         );
     }
     
     extractText(msg) {
         if (!msg.message) return '';
-        if (msg.message.conversation) return msg.message.conversation;
-        if (msg.message.extendedTextMessage?.text) return msg.message.extendedTextMessage.text;
-        if (msg.message.imageMessage?.caption) return msg.message.imageMessage.caption;
-        if (msg.message.videoMessage?.caption) return msg.message.videoMessage.caption;
-        if (msg.message.documentMessage?.caption) return msg.message.documentMessage.caption;
+        const message = this.unwrapViewOnce(msg.message);
+        if (message.conversation) return message.conversation;
+        if (message.extendedTextMessage?.text) return message.extendedTextMessage.text;
+        if (message.imageMessage?.caption) return message.imageMessage.caption;
+        if (message.videoMessage?.caption) return message.videoMessage.caption;
+        if (message.documentMessage?.caption) return message.documentMessage.caption;
         return '';
     }
     
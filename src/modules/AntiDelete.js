@@ -0,0 +1,222 @@
+// src/modules/AntiDelete.js - Repost messages that were deleted for everyone
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+
+// Baileys: protocolMessage.type REVOKE and WAMessageStubType.REVOKE
+const PROTOCOL_REVOKE = 0;
+const STUB_REVOKE = 1;
+
+class AntiDelete {
+    constructor(bot) {
+        this.bot = bot;
+        this.config = bot.config;
+
+        // One revoke can arrive both as an upsert and as an update
+        this.handled = new Map();   // messageId -> handledAt
+    }
+
+    // Per-chat setting (`antiDelete` in group or private chat settings) over config.ANTI_DELETE.
+    // target: 'chat' (repost where it was deleted), 'owner' (owner's DM) or 'log' (a log group)
+    getSettings(chatId) {
+        const isGroup = chatId.endsWith('@g.us');
+        const stored = isGroup
+            ? this.bot.settings.getGroupSettings(chatId).antiDelete
+            : this.bot.settings.getUserSettings(chatId).antiDelete;
+        const defaults = this.config.ANTI_DELETE || {};
+
+        return {
+            enabled: false,
+            target: 'chat',
+            logGroup: this.config.ANTI_DELETE_LOG_GROUP || null,
+            ...defaults,
+            ...(stored || {})
+        };
+    }
+
+    // Whether people in a chat may still find its deleted messages (search, export):
+    // only where anti-delete already reposts them into the chat itself
+    showsDeleted(chatId) {
+        const settings = this.getSettings(chatId);
+        return settings.enabled && settings.target === 'chat';
+    }
+
+    isRevoke(msg) {
+        const protocol = msg.message?.protocolMessage;
+        return !!protocol && (protocol.type === PROTOCOL_REVOKE || protocol.type === 'REVOKE');
+    }
+
+    // messages.upsert carrying a protocolMessage REVOKE
+    async handleUpsert(msg) {
+        const protocol = msg.message.protocolMessage;
+        const chatId = protocol.key?.remoteJid || msg.key.remoteJid;
+
+        await this.handleRevoke({
+            chatId,
+            messageId: protocol.key?.id,
+            deletedBy: msg.key.fromMe ? this.bot.sock.user?.id : (msg.key.participant || msg.key.remoteJid),
+            deletedAt: Number(msg.messageTimestamp) * 1000 || Date.now()
+        });
+    }
+
+    // messages.update: Baileys reports revokes as a REVOKE stub on the deleted message's key
+    async handleUpdates(updates) {
+        for (const { key, update } of updates) {
+            if (update?.messageStubType !== STUB_REVOKE || !key?.id) continue;
+
+            // key.participant is the original sender, not whoever deleted it: in groups an
+            // admin may have, so without an actor on the update the deleter stays unknown.
+            // In a private chat only the sender can delete for everyone.
+            const isGroup = key.remoteJid?.endsWith('@g.us');
+            const sender = key.fromMe ? this.bot.sock.user?.id : key.remoteJid;
+
+            await this.handleRevoke({
+                chatId: key.remoteJid,
+                messageId: key.id,
+                deletedBy: update.key?.participant || (isGroup ? null : sender),
+                deletedAt: Date.now()
+            });
+        }
+    }
+
+    async handleRevoke({ chatId, messageId, deletedBy, deletedAt }) {
+        if (!chatId || !messageId) return false;
+
+        // Hidden from search and export even where anti-delete is off
+        await this.bot.messageCache.markRevoked(messageId, chatId, deletedAt);
+
+        const settings = this.getSettings(chatId);
+        if (!settings.enabled) return false;
+
+        // The bot deleting its own messages is not news
+        if (this.bot.commandHandler?.isBotJid(deletedBy)) return false;
+
+        const cached = await this.bot.messageCache.getMessage(messageId, chatId);
+        if (!cached || !cached.message) {
+            this.bot.logger.warning(`Deleted message ${messageId} in ${chatId} was not cached`, 'ANTIDELETE');
+            return false;
+        }
+
+        // Dedupe only revokes we act on, after the await so the second copy sees the first
+        if (this.handled.has(messageId)) return false;
+        this.markHandled(messageId);
+
+        const destination = this.destinationFor(settings, chatId);
+        if (!destination) {
+            this.bot.logger.warning(`Anti-delete target "${settings.target}" has no destination for ${chatId}`, 'ANTIDELETE');
+            return false;
+        }
+
+        try {
+            await this.repost(destination, cached, { chatId, deletedBy, deletedAt });
+            this.bot.messageCache.stats.deletedRecovered++;
+            this.bot.logger.info(`🗑️ Recovered deleted ${cached.messageType} in ${chatId}`, 'ANTIDELETE');
+            return true;
+        } catch (error) {
+            this.bot.logger.error(`Anti-delete repost failed: ${error.message}`, 'ANTIDELETE');
+            return false;
+        }
+    }
+
+    destinationFor(settings, chatId) {
+        switch (settings.target) {
+            case 'owner': {
+                const digits = String(this.config.OWNER_PHONE || '').replace(/\D/g, '');
+                return digits ? `${digits}@s.whatsapp.net` : null;
+            }
+            case 'log':
+                return settings.logGroup;
+            default:
+                return chatId;
+        }
+    }
+
+    // "🗑️ Deleted message" header: who sent it, who deleted it, when
+    buildNotice(cached, { chatId, deletedBy, deletedAt }, destination) {
+        const senderNumber = cached.senderId.split('@')[0].split(':')[0];
+        const deleterNumber = deletedBy ? deletedBy.split('@')[0].split(':')[0] : null;
+        const deleter = !deleterNumber ? 'unknown' : deleterNumber === senderNumber ? 'the sender' : `@${deleterNumber}`;
+
+        let notice = `🗑️ *Deleted message*\n\n`;
+        notice += `👤 *From:* @${senderNumber}${cached.senderName && cached.senderName !== 'Unknown' ? ` (${cached.senderName})` : ''}\n`;
+        notice += `🧹 *Deleted by:* ${deleter}\n`;
+        notice += `🕒 *Sent:* ${new Date(cached.timestamp).toLocaleString()}\n`;
+        notice += `❌ *Deleted:* ${new Date(deletedAt).toLocaleString()}\n`;
+        if (destination !== chatId) {
+            notice += `💬 *Chat:* ${chatId.endsWith('@g.us') ? chatId : '@' + chatId.split('@')[0]}\n`;
+        }
+
+        return {
+            text: notice,
+            mentions: [...new Set([cached.senderId, deletedBy].filter(Boolean))]
+        };
+    }
+
+    async repost(destination, cached, details) {
+        const { text: notice, mentions } = this.buildNotice(cached, details, destination);
+        const original = cached.message;
+        const message = this.bot.messageCache.unwrapViewOnce(original.message || {});
+        const caption = cached.textContent || '';
+
+        if (cached.messageType === 'text' || cached.messageType === 'unknown') {
+            const body = caption ? `\n💬 ${caption}` : '\n_(no text content)_';
+            return this.bot.sendMessage(destination, { text: notice + body, mentions });
+        }
+
+        // Media: the copy from the media store, else download again while the link still works
+        const stored = await this.bot.messageCache.getMedia(cached.id, cached.chatId);
+        let buffer = stored?.buffer || null;
+        if (!buffer) {
+            try {
+                buffer = await downloadMediaMessage(original, 'buffer', {}, {
+                    logger: this.bot.sock.logger,
+                    reuploadRequest: this.bot.sock.updateMediaMessage
+                });
+            } catch (error) {
+                this.bot.logger.warning(`Could not download deleted ${cached.messageType}: ${error.message}`, 'ANTIDELETE');
+            }
+        }
+
+        if (!buffer) {
+            const body = `\n📎 ${cached.messageType} (no longer downloadable)${caption ? `\n💬 ${caption}` : ''}`;
+            return this.bot.sendMessage(destination, { text: notice + body, mentions });
+        }
+
+        const withCaption = notice + (caption ? `\n💬 ${caption}` : '');
+
+        switch (cached.messageType) {
+            case 'image':
+                return this.bot.sendMessage(destination, { image: buffer, caption: withCaption, mentions });
+            case 'video':
+                return this.bot.sendMessage(destination, { video: buffer, caption: withCaption, mentions });
+            case 'document':
+                return this.bot.sendMessage(destination, {
+                    document: buffer,
+                    mimetype: message.documentMessage?.mimetype || 'application/octet-stream',
+                    fileName: message.documentMessage?.fileName || 'file',
+                    caption: withCaption,
+                    mentions
+                });
+            default:
+                // Audio and stickers can't carry a caption: notice first, then the media
+                await this.bot.sendMessage(destination, { text: withCaption, mentions });
+                return cached.messageType === 'sticker'
+                    ? this.bot.sendMessage(destination, { sticker: buffer })
+                    : this.bot.sendMessage(destination, {
+                        audio: buffer,
+                        mimetype: message.audioMessage?.mimetype || 'audio/ogg; codecs=opus',
+                        ptt: !!message.audioMessage?.ptt
+                    });
+        }
+    }
+
+    markHandled(messageId) {
+        const now = Date.now();
+        this.handled.set(messageId, now);
+
+        // Forget ids after a few minutes; a revoke is only delivered twice back to back
+        for (const [id, at] of this.handled) {
+            if (at < now - 5 * 60 * 1000) this.handled.delete(id);
+        }
+    }
+}
+
+module.exports = AntiDelete;
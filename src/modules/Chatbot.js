@@ -1,9 +1,15 @@
 const axios = require('axios');
 const config = require('../../config/config');
 const settings = require('../../config/settings');
+const ConversationStore = require('../lib/cache/ConversationStore');
+const ContextBuilder = require('../chatbot/ContextBuilder');
+const ModelRouter = require('../chatbot/ModelRouter');
+const Transcriber = require('../chatbot/Transcriber');
+const { PERSONAS, LENGTHS, resolvePersona, buildSystemPrompt } = require('../chatbot/personas');
 
 class Chatbot {
-    constructor() {
+    constructor(bot = null) {
+        this.bot = bot;
         this.providers = {
             'megan-fast': this.meganFast.bind(this),
             'megan-base': this.meganBase.bind(this),
@@ -13,51 +19,134 @@ class Chatbot {
             'custom': this.customAI.bind(this)
         };
         
+        // Providers that can stream tokens as they are generated
+        this.streamingProviders = {
+            'gemini': this.geminiStream.bind(this),
+            'openai': this.openAIStream.bind(this)
+        };
+        
+        // Providers that accept images alongside the prompt
+        this.visionProviders = new Set(config.AI_VISION_PROVIDERS || ['openai', 'gemini']);
+        
+        // Voice notes are turned into text before they reach a provider
+        this.transcriber = new Transcriber({
+            url: config.TRANSCRIBE_URL,
+            apiKey: config.TRANSCRIBE_API_KEY,
+            model: config.TRANSCRIBE_MODEL,
+            language: config.TRANSCRIBE_LANGUAGE
+        });
+        
+        // Every call goes through the router: timeouts, circuit breaking, metrics
+        this.router = new ModelRouter(this.providers, {
+            timeouts: config.AI_PROVIDER_TIMEOUTS,
+            defaultTimeout: config.AI_TIMEOUT,
+            failureThreshold: config.AI_CIRCUIT_THRESHOLD,
+            cooldown: config.AI_CIRCUIT_COOLDOWN,
+            logger: bot?.logger
+        });
+        
+        // In-memory caches of active threads, backed by SQLite
         this.contexts = new Map();
         this.history = new Map();
-        this.maxHistory = 10;
+        this.store = new ConversationStore();
+        this.maxHistory = config.AI_HISTORY_DEPTH || 10;
+        this.historyExpiry = (config.AI_HISTORY_EXPIRY_HOURS || 24) * 60 * 60 * 1000;
+        this.contextBuilder = new ContextBuilder({ budgets: config.AI_TOKEN_BUDGETS });
+        this.compacting = new Set();
+        
+        // Evict idle threads from memory and expire old ones on disk
+        this.sweepTimer = setInterval(() => this.sweepIdleThreads(), 10 * 60 * 1000);
+        this.sweepTimer.unref?.();
+    }
+
+    // A thread is one user in one chat: the DM, or their conversation inside a group
+    threadId(userId, groupId = null) {
+        return groupId ? `${groupId}|${userId}` : userId;
+    }
+
+    parseThreadId(threadId) {
+        const [first, second] = threadId.split('|');
+        return second ? { chatId: first, userId: second } : { chatId: first, userId: first };
+    }
+
+    // Pull a thread from SQLite into the caches if it isn't loaded yet
+    async loadThread(threadId) {
+        if (!this.history.has(threadId)) {
+            const stored = await this.store.getHistory(threadId, this.maxHistory);
+            if (!this.history.has(threadId)) {
+                this.history.set(threadId, stored);
+            }
+        }
+        
+        if (!this.contexts.has(threadId)) {
+            const stored = await this.store.getContext(threadId);
+            if (stored && !this.contexts.has(threadId)) {
+                this.contexts.set(threadId, stored);
+            }
+        }
     }
 
     // Get user context
-    getUserContext(userId) {
-        if (!this.contexts.has(userId)) {
-            this.contexts.set(userId, {
-                userId,
+    getUserContext(threadId) {
+        if (!this.contexts.has(threadId)) {
+            this.contexts.set(threadId, {
+                userId: this.parseThreadId(threadId).userId,
                 conversation: [],
                 preferences: {},
                 lastActive: Date.now()
             });
         }
-        return this.contexts.get(userId);
+        return this.contexts.get(threadId);
     }
 
     // Update user context
-    updateUserContext(userId, update) {
-        const context = this.getUserContext(userId);
+    updateUserContext(threadId, update) {
+        const context = this.getUserContext(threadId);
         Object.assign(context, update);
         context.lastActive = Date.now();
-        this.contexts.set(userId, context);
+        this.contexts.set(threadId, context);
+        
+        const { userId, chatId } = this.parseThreadId(threadId);
+        this.store.saveContext(threadId, userId, chatId, context);
         return context;
     }
 
     // Add to conversation history
-    addToHistory(userId, role, message) {
-        if (!this.history.has(userId)) {
-            this.history.set(userId, []);
+    addToHistory(threadId, role, message) {
+        if (!this.history.has(threadId)) {
+            this.history.set(threadId, []);
         }
         
-        const history = this.history.get(userId);
-        history.push({ role, message, timestamp: Date.now() });
+        const history = this.history.get(threadId);
+        const entry = { role, message, timestamp: Date.now() };
+        history.push(entry);
         
         // Keep only last N messages
         if (history.length > this.maxHistory) {
-            this.history.set(userId, history.slice(-this.maxHistory));
+            this.history.set(threadId, history.slice(-this.maxHistory));
         }
+        
+        const { userId, chatId } = this.parseThreadId(threadId);
+        this.store.addMessage({ threadId, userId, chatId, ...entry }, this.maxHistory);
     }
 
     // Get conversation history
-    getHistory(userId) {
-        return this.history.get(userId) || [];
+    getHistory(threadId) {
+        return this.history.get(threadId) || [];
+    }
+
+    sweepIdleThreads() {
+        const memoryCutoff = Date.now() - Math.min(this.historyExpiry, 30 * 60 * 1000);
+        
+        for (const [threadId, history] of this.history) {
+            const lastActive = this.contexts.get(threadId)?.lastActive || history[history.length - 1]?.timestamp || 0;
+            if (lastActive < memoryCutoff) {
+                this.history.delete(threadId);
+                this.contexts.delete(threadId);
+            }
+        }
+        
+        this.store.cleanupExpired(this.historyExpiry);
     }
 
     // Megan Fast AI (Worker)
@@ -68,23 +157,24 @@ class Chatbot {
                 {
                     prompt: prompt,
                     model: '@cf/meta/llama-3.1-8b-instruct',
-                    context: context
+                    context: this.promptContext(context)
                 },
-                { timeout: config.AI_TIMEOUT }
+                { timeout: context.timeout || config.AI_TIMEOUT, signal: context.signal }
             );
             
+            const text = response.data.data?.response?.trim();
+            if (!text) {
+                throw new Error('Empty response');
+            }
+            
             return {
                 success: true,
-                response: response.data.data?.response || this.fallbackResponse(prompt),
+                response: text,
                 provider: 'megan-fast',
                 model: 'llama-3.1-8b-instruct'
             };
         } catch (error) {
-            return {
-                success: false,
-                error: error.message,
-                response: this.fallbackResponse(prompt)
-            };
+            return { success: false, error: error.message };
         }
     }
 
@@ -96,19 +186,24 @@ class Chatbot {
                 {
                     prompt: prompt,
                     model: '@hf/thebloke/llama-2-13b-chat-awq',
-                    context: context
+                    context: this.promptContext(context)
                 },
-                { timeout: 15000 }
+                { timeout: context.timeout || 15000, signal: context.signal }
             );
             
+            const text = response.data.data?.response?.trim();
+            if (!text) {
+                throw new Error('Empty response');
+            }
+            
             return {
                 success: true,
-                response: response.data.data?.response || await this.meganFast(prompt),
+                response: text,
                 provider: 'megan-base',
                 model: 'llama-2-13b-chat-awq'
             };
         } catch (error) {
-            return await this.meganFast(prompt, context);
+            return { success: false, error: error.message };
         }
     }
 
@@ -116,7 +211,11 @@ class Chatbot {
     async meganUltra(prompt, context = {}) {
         try {
             // Enhanced processing
-            const enhancedPrompt = `Context: ${JSON.stringify(context)}\n\nUser: ${prompt}\n\nAssistant:`;
+            const enhancedPrompt = this.contextBuilder.renderTranscript({
+                systemPrompt: this.getSystemPrompt(context),
+                history: context.history || [],
+                prompt
+            });
             
             const response = await axios.post(
                 'https://late-salad-9d56.youngwanga254.workers.dev',
@@ -126,39 +225,407 @@ class Chatbot {
                     temperature: 0.7,
                     max_tokens: 500
                 },
-                { timeout: 20000 }
+                { timeout: context.timeout || 20000, signal: context.signal }
             );
             
+            const text = response.data.data?.response?.trim();
+            if (!text) {
+                throw new Error('Empty response');
+            }
+            
             return {
                 success: true,
-                response: `✨ ${response.data.data?.response || 'Enhanced response generated.'}`,
+                response: `✨ ${text}`,
                 provider: 'megan-ultra',
                 model: 'llama-3.1-8b-instruct-enhanced'
             };
         } catch (error) {
-            return await this.meganBase(prompt, context);
+            return { success: false, error: error.message };
         }
     }
 
-    // Gemini AI (Google)
+    // Gemini AI (Google generateContent)
     async geminiAI(prompt, context = {}) {
         try {
-            // Placeholder for Gemini API
-            // In production, use: const { GoogleGenerativeAI } = require("@google/generative-ai");
-            return await this.meganUltra(prompt, context);
+            const { baseURL, body, headers, model } = this.geminiRequest(prompt, context);
+            const tools = context.tools?.length > 0 && context.runTool;
+            if (tools) {
+                body.tools = [{ functionDeclarations: context.tools }];
+            }
+            
+            let data = {};
+            for (let round = 0; ; round++) {
+                // Out of rounds: make the model answer with what it has
+                if (tools && round >= (context.maxToolRounds || 0)) {
+                    body.toolConfig = { functionCallingConfig: { mode: 'NONE' } };
+                }
+                
+                const response = await axios.post(
+                    `${baseURL}/models/${model}:generateContent`,
+                    body,
+                    { headers, timeout: context.timeout || config.AI_TIMEOUT, signal: context.signal }
+                );
+                
+                data = response.data || {};
+                const parts = data.candidates?.[0]?.content?.parts || [];
+                const calls = parts.filter(part => part.functionCall);
+                if (!tools || calls.length === 0 || body.toolConfig) break;
+                
+                // Run the requested commands and hand their results back,
+                // unless the router has already given up on this call
+                context.signal?.throwIfAborted();
+                body.contents.push({ role: 'model', parts });
+                const results = [];
+                for (const { functionCall } of calls) {
+                    results.push({
+                        functionResponse: {
+                            name: functionCall.name,
+                            response: { result: await this.runToolCall(context, functionCall.name, functionCall.args) }
+                        }
+                    });
+                }
+                body.contents.push({ role: 'user', parts: results });
+            }
+            
+            const blocked = this.geminiBlocked(data, model);
+            if (blocked) return blocked;
+            
+            const text = this.geminiText(data).trim();
+            if (!text) {
+                throw new Error(`Empty Gemini response (${data.candidates?.[0]?.finishReason || 'no candidates'})`);
+            }
+            
+            return {
+                success: true,
+                response: text,
+                provider: 'gemini',
+                model: data.modelVersion || model
+            };
         } catch (error) {
-            return await this.meganBase(prompt, context);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // streamGenerateContent?alt=sse sends one GenerateContentResponse per event
+    async geminiStream(prompt, context = {}, onToken) {
+        const { baseURL, body, headers, model } = this.geminiRequest(prompt, context);
+        let text = '';
+        let blocked = null;
+        
+        const response = await axios.post(
+            `${baseURL}/models/${model}:streamGenerateContent?alt=sse`,
+            body,
+            { headers, timeout: context.timeout || config.AI_TIMEOUT, responseType: 'stream' }
+        );
+        
+        await readSSE(response.data, (data) => {
+            const chunk = JSON.parse(data);
+            
+            blocked = this.geminiBlocked(chunk, model);
+            if (blocked) return false;
+            
+            const delta = this.geminiText(chunk);
+            if (delta) {
+                text += delta;
+                onToken(delta, text);
+            }
+        });
+        
+        return blocked || { success: true, response: text.trim(), provider: 'gemini', model, streamed: true };
+    }
+
+    geminiRequest(prompt, context = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.GEMINI_API_KEY) {
+            headers['x-goog-api-key'] = config.GEMINI_API_KEY;
         }
+        
+        return {
+            baseURL: (config.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, ''),
+            model: config.GEMINI_MODEL || 'gemini-1.5-flash',
+            headers,
+            body: {
+                systemInstruction: { parts: [{ text: this.getSystemPrompt(context) }] },
+                contents: this.buildGeminiContents(prompt, context),
+                generationConfig: {
+                    temperature: config.GEMINI_TEMPERATURE ?? 0.7,
+                    maxOutputTokens: context.maxTokens || config.GEMINI_MAX_TOKENS || 500
+                }
+            }
+        };
     }
 
-    // OpenAI
+    geminiText(data) {
+        return (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+    }
+
+    // Blocked prompt (no candidates) or blocked answer (finishReason SAFETY): a clear refusal
+    geminiBlocked(data, model) {
+        const candidate = data.candidates?.[0];
+        const blockReason = data.promptFeedback?.blockReason ||
+            (['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'].includes(candidate?.finishReason) ? candidate.finishReason : null);
+        
+        if (!blockReason) return null;
+        
+        const categories = (candidate?.safetyRatings || data.promptFeedback?.safetyRatings || [])
+            .filter(rating => rating.blocked || ['MEDIUM', 'HIGH'].includes(rating.probability))
+            .map(rating => rating.category.replace('HARM_CATEGORY_', '').toLowerCase().replace(/_/g, ' '));
+        
+        return {
+            success: true,
+            blocked: true,
+            response: `⚠️ I can't answer that: the request was blocked by Gemini's safety filters` +
+                      `${categories.length > 0 ? ` (${categories.join(', ')})` : ''}. Try rephrasing.`,
+            provider: 'gemini',
+            model: model
+        };
+    }
+
+    // History as Gemini contents: user/model roles, consecutive turns merged, user first
+    buildGeminiContents(prompt, context = {}) {
+        const contents = [];
+        
+        for (const { role, content } of this.buildChatMessages(prompt, context)) {
+            if (role === 'system') continue;
+            
+            const geminiRole = role === 'assistant' ? 'model' : 'user';
+            const last = contents[contents.length - 1];
+            
+            if (last && last.role === geminiRole) {
+                last.parts.push({ text: content });
+            } else if (last || geminiRole === 'user') {
+                contents.push({ role: geminiRole, parts: [{ text: content }] });
+            }
+        }
+        
+        if (context.image && contents.length > 0) {
+            contents[contents.length - 1].parts.push({
+                inlineData: { mimeType: context.image.mimeType, data: context.image.data }
+            });
+        }
+        
+        return contents;
+    }
+
+    // OpenAI-compatible /chat/completions (OpenAI, OpenRouter, Ollama, llama.cpp, LM Studio...)
     async openAI(prompt, context = {}) {
         try {
-            // Placeholder for OpenAI API
-            // In production, use: const OpenAI = require("openai");
-            return await this.meganUltra(prompt, context);
+            const { url, body, headers, model } = this.openAIRequest(prompt, context);
+            const tools = context.tools?.length > 0 && context.runTool;
+            if (tools) {
+                body.tools = context.tools.map(tool => ({ type: 'function', function: tool }));
+            }
+            
+            let response;
+            for (let round = 0; ; round++) {
+                // Out of rounds: make the model answer with what it has
+                if (tools && round >= (context.maxToolRounds || 0)) {
+                    body.tool_choice = 'none';
+                }
+                
+                response = await axios.post(url, body, { headers, timeout: context.timeout || config.AI_TIMEOUT, signal: context.signal });
+                
+                const message = response.data?.choices?.[0]?.message;
+                if (!tools || !message?.tool_calls?.length || body.tool_choice === 'none') break;
+                
+                // Run the requested commands and hand their results back,
+                // unless the router has already given up on this call
+                context.signal?.throwIfAborted();
+                body.messages.push(message);
+                for (const call of message.tool_calls) {
+                    body.messages.push({
+                        role: 'tool',
+                        tool_call_id: call.id,
+                        content: await this.runToolCall(context, call.function.name, call.function.arguments)
+                    });
+                }
+            }
+            
+            const text = response.data?.choices?.[0]?.message?.content?.trim();
+            if (!text) {
+                throw new Error('Empty completion');
+            }
+            
+            return {
+                success: true,
+                response: text,
+                provider: 'openai',
+                model: response.data.model || model
+            };
         } catch (error) {
-            return await this.meganBase(prompt, context);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Same request with stream: true; deltas arrive as SSE `data:` events
+    async openAIStream(prompt, context = {}, onToken) {
+        const { url, body, headers, model } = this.openAIRequest(prompt, context);
+        let text = '';
+        
+        const response = await axios.post(url, { ...body, stream: true }, {
+            headers,
+            timeout: context.timeout || config.AI_TIMEOUT,
+            responseType: 'stream'
+        });
+        
+        await readSSE(response.data, (data) => {
+            if (data === '[DONE]') return false;
+            
+            const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onToken(delta, text);
+            }
+        });
+        
+        return { success: true, response: text.trim(), provider: 'openai', model, streamed: true };
+    }
+
+    openAIRequest(prompt, context = {}) {
+        const baseURL = (config.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        const model = config.OPENAI_MODEL || 'gpt-4o-mini';
+        
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.OPENAI_API_KEY) {
+            headers.Authorization = `Bearer ${config.OPENAI_API_KEY}`;
+        }
+        
+        // The image rides along with the current (last) user turn
+        const messages = this.buildChatMessages(prompt, context);
+        if (context.image) {
+            const last = messages[messages.length - 1];
+            last.content = [
+                { type: 'text', text: last.content },
+                { type: 'image_url', image_url: { url: `data:${context.image.mimeType};base64,${context.image.data}` } }
+            ];
+        }
+        
+        return {
+            url: `${baseURL}/chat/completions`,
+            headers,
+            model,
+            body: {
+                model: model,
+                messages,
+                temperature: config.OPENAI_TEMPERATURE ?? 0.7,
+                max_tokens: context.maxTokens || config.OPENAI_MAX_TOKENS || 500
+            }
+        };
+    }
+
+    // Which media the AI handles in a chat (`aiMedia` in group or private chat settings)
+    // Groups opt in with .aimedia: otherwise every photo posted would go to a paid vision API
+    getMediaSettings(userId, groupId = null) {
+        const stored = groupId
+            ? settings.getGroupSettings(groupId).aiMedia
+            : settings.getUserSettings(userId).aiMedia;
+        const defaults = groupId
+            ? { image: false, voice: false }
+            : { image: true, voice: true, ...(config.AI_MEDIA || {}) };
+        
+        return { ...defaults, ...(stored || {}) };
+    }
+
+    async transcribe(buffer, mimeType) {
+        return this.transcriber.transcribe(buffer, mimeType);
+    }
+
+    // Active persona of a group, or of the user's private chat
+    getPersona(userId, groupId = null) {
+        const stored = groupId
+            ? settings.getGroupSettings(groupId).aiPersona
+            : settings.getUserSettings(userId).aiPersona;
+        
+        // Without a preset the configured system prompt is still the base
+        return resolvePersona(
+            stored?.preset ? stored : { systemPrompt: config.AI_SYSTEM_PROMPT, ...(stored || {}) },
+            config.BOT_NAME
+        );
+    }
+
+    // Switch preset and/or override fields; `null` goes back to the default assistant
+    async setPersona(userId, groupId, patch) {
+        let stored = null;
+        
+        if (patch) {
+            const current = groupId
+                ? settings.getGroupSettings(groupId).aiPersona
+                : settings.getUserSettings(userId).aiPersona;
+            
+            // A new preset starts clean instead of inheriting the old overrides
+            stored = patch.preset ? { ...patch } : { ...(current || {}), ...patch };
+            
+            if (stored.preset && !PERSONAS[stored.preset]) {
+                throw new Error(`Unknown persona "${stored.preset}"`);
+            }
+            if (stored.length && !LENGTHS[stored.length]) {
+                throw new Error(`Length must be one of: ${Object.keys(LENGTHS).join(', ')}`);
+            }
+            if (stored.provider && !this.providers[stored.provider]) {
+                throw new Error(`Provider must be one of: ${Object.keys(this.providers).join(', ')}`);
+            }
+        }
+        
+        if (groupId) {
+            await settings.updateGroupSettings(groupId, { aiPersona: stored });
+        } else {
+            await settings.updateUserSettings(userId, { aiPersona: stored });
+        }
+        
+        return this.getPersona(userId, groupId);
+    }
+
+    // System prompt plus the rolling summary of turns that no longer fit
+    getSystemPrompt(context = {}) {
+        let prompt = context.systemPrompt || config.AI_SYSTEM_PROMPT ||
+            `You are ${config.BOT_NAME}, a helpful WhatsApp assistant. Keep replies concise.`;
+        
+        if (context.summary) {
+            prompt += `\n\nSummary of the earlier conversation: ${context.summary}`;
+        }
+        
+        return prompt;
+    }
+
+    // Only what belongs in a prompt: no settings, ids or timestamps
+    promptContext(context = {}) {
+        return {
+            system: this.getSystemPrompt(context),
+            history: (context.history || []).map(({ role, message }) => ({ role, message }))
+        };
+    }
+
+    // Role-tagged chat messages: system prompt, stored history, then the current prompt
+    buildChatMessages(prompt, context = {}) {
+        const messages = [{ role: 'system', content: this.getSystemPrompt(context) }];
+        
+        for (const entry of context.history || []) {
+            if (!entry.message) continue;
+            messages.push({
+                role: entry.role === 'assistant' ? 'assistant' : 'user',
+                content: entry.message
+            });
+        }
+        
+        // chat() records the prompt in history before calling the provider
+        const last = messages[messages.length - 1];
+        if (last.role !== 'user' || last.content !== prompt) {
+            messages.push({ role: 'user', content: prompt });
+        }
+        
+        return messages;
+    }
+
+    // One function call from the model. Arguments arrive as a JSON string (OpenAI)
+    // or an object (Gemini); failures go back to the model as text.
+    async runToolCall(context, name, args) {
+        if (context.signal?.aborted) return 'Failed: the request was cancelled';
+        
+        try {
+            const input = typeof args === 'string' ? JSON.parse(args || '{}') : (args || {});
+            return String(await context.runTool(name, input));
+        } catch (error) {
+            return `Failed: ${error.message}`;
         }
     }
 
@@ -167,23 +634,28 @@ class Chatbot {
         try {
             const customEndpoint = process.env.CUSTOM_AI_ENDPOINT;
             if (!customEndpoint) {
-                return await this.meganFast(prompt, context);
+                return { success: false, error: 'CUSTOM_AI_ENDPOINT is not set' };
             }
 
             const response = await axios.post(customEndpoint, {
                 prompt,
-                context,
+                context: this.promptContext(context),
                 userId: context.userId
-            }, { timeout: config.AI_TIMEOUT });
+            }, { timeout: context.timeout || config.AI_TIMEOUT, signal: context.signal });
+
+            const text = typeof response.data === 'string' ? response.data : response.data?.response;
+            if (typeof text !== 'string' || !text.trim()) {
+                throw new Error('Empty response');
+            }
 
             return {
                 success: true,
-                response: response.data.response || response.data,
+                response: text.trim(),
                 provider: 'custom',
                 endpoint: customEndpoint
             };
         } catch (error) {
-            return await this.meganFast(prompt, context);
+            return { success: false, error: error.message };
         }
     }
 
@@ -191,83 +663,231 @@ class Chatbot {
     async chat(prompt, userId, options = {}) {
         try {
             const userSettings = settings.getUserSettings(userId);
-            const provider = options.provider || userSettings.aiProvider || config.AI_PROVIDER;
+            const persona = this.getPersona(userId, options.groupId);
+            const provider = options.provider || persona.provider || userSettings.aiProvider || config.AI_PROVIDER;
+            const systemPrompt = buildSystemPrompt(persona);
+            const threadId = this.threadId(userId, options.groupId);
             
-            // Get user context
-            const context = this.getUserContext(userId);
+            // Get user context (restored from SQLite after a restart)
+            await this.loadThread(threadId);
+            const context = this.getUserContext(threadId);
+            
+            // Providers to try, in order. Images can only go to vision providers,
+            // so those are tried even when the chat prefers another.
+            let chain = this.getChain(userId, options.groupId, provider);
+            if (options.image) {
+                chain = this.router.chainFor(null, [...chain, ...this.visionProviders])
+                    .filter(name => this.visionProviders.has(name));
+                
+                if (chain.length === 0) {
+                    return {
+                        success: false,
+                        response: '🖼️ None of the configured AI providers can look at images.',
+                        error: 'no vision provider'
+                    };
+                }
+            }
             
             // Add user message to history
-            this.addToHistory(userId, 'user', prompt);
+            this.addToHistory(threadId, 'user', prompt);
             
-            // Get AI handler
-            const handler = this.providers[provider] || this.providers['megan-fast'];
+            // Prepare context: newest turns that fit the first provider's token budget.
+            // The router refits it for each fallback, whose window may be smaller.
+            const history = [...this.getHistory(threadId)];
+            const fit = name => this.contextBuilder.build({
+                provider: name,
+                systemPrompt: this.getSystemPrompt({ systemPrompt, summary: context.summary }),
+                history
+            });
+            const built = fit(chain[0]);
             
-            // Prepare context with history
             const chatContext = {
-                ...context,
                 userId,
-                history: this.getHistory(userId),
-                settings: userSettings,
-                timestamp: Date.now()
+                threadId,
+                persona: persona.name,
+                systemPrompt,
+                maxTokens: LENGTHS[persona.length].maxTokens,
+                summary: context.summary || '',
+                history: built.history,
+                tokenEstimate: built.tokens,
+                contextFor: name => {
+                    const fitted = fit(name);
+                    return { history: fitted.history, tokenEstimate: fitted.tokens };
+                },
+                image: options.image || null,
+                tools: options.tools || [],
+                runTool: options.runTool,
+                maxToolRounds: options.tools?.length > 0 ? (config.AI_MAX_TOOL_ROUNDS || 3) : 0
             };
 
-            // Get AI response
-            const result = await handler(prompt, chatContext);
+            // Get AI response, streamed when the caller wants tokens and the provider can.
+            // Tool calls need whole responses, so chats with tools don't stream.
+            const result = options.onToken && !chatContext.maxToolRounds && this.streamingProviders[chain[0]]
+                ? await this.streamWithFallback(chain, prompt, chatContext, options.onToken)
+                : await this.router.route(chain, prompt, chatContext);
             
             if (result.success) {
-                // Add AI response to history
-                this.addToHistory(userId, 'assistant', result.response);
+                // Add AI response to history (safety refusals don't belong in it)
+                if (!result.blocked) {
+                    this.addToHistory(threadId, 'assistant', result.response);
+                }
                 
                 // Update context
-                this.updateUserContext(userId, {
+                this.updateUserContext(threadId, {
                     lastQuery: prompt,
                     lastResponse: result.response,
                     providerUsed: result.provider
                 });
+                
+                // Fold older turns into the summary in the background
+                this.compactThread(threadId, chain, built.dropped).catch(() => {});
 
                 return {
                     ...result,
+                    persona: persona.name,
                     context: chatContext,
-                    historyLength: this.getHistory(userId).length
+                    historyLength: this.getHistory(threadId).length
                 };
             } else {
                 return {
                     success: false,
-                    response: this.fallbackResponse(prompt),
+                    unavailable: true,
+                    response: this.unavailableMessage(),
                     error: result.error,
-                    provider: 'fallback'
+                    attempts: result.attempts
                 };
             }
         } catch (error) {
             return {
                 success: false,
-                response: this.fallbackResponse(prompt),
-                error: error.message,
-                provider: 'error-fallback'
+                unavailable: true,
+                response: this.unavailableMessage(),
+                error: error.message
+            };
+        }
+    }
+
+    // Summarize the oldest turns once history is about to overflow (or no longer
+    // fits the budget), so they survive as summary instead of being dropped
+    async compactThread(threadId, chain, droppedTurns = 0) {
+        const history = this.getHistory(threadId);
+        if (this.compacting.has(threadId)) return false;
+        if (history.length < this.maxHistory - 1 && droppedTurns === 0) return false;
+        
+        // Keep the newest half, starting on a user turn
+        let cut = history.length - Math.min(Math.ceil(this.maxHistory / 2), history.length - droppedTurns);
+        while (cut < history.length - 1 && history[cut].role !== 'user') cut++;
+        const fold = history.slice(0, cut);
+        if (fold.length === 0) return false;
+        
+        this.compacting.add(threadId);
+        try {
+            const context = this.getUserContext(threadId);
+            const result = await this.router.route(
+                chain,
+                this.contextBuilder.summaryPrompt(context.summary, fold),
+                { history: [], systemPrompt: this.contextBuilder.summarySystemPrompt() }
+            );
+            
+            if (!result.success || typeof result.response !== 'string' || !result.response.trim()) {
+                return false;
+            }
+            
+            // Turns may have been added while we waited; drop only the folded ones
+            const current = this.getHistory(threadId);
+            this.history.set(threadId, current.filter(entry => !fold.includes(entry)));
+            await this.store.deleteUntil(threadId, fold[fold.length - 1].timestamp);
+            
+            this.updateUserContext(threadId, {
+                summary: result.response.replace(/^✨\s*/, '').trim(),
+                summarizedUntil: fold[fold.length - 1].timestamp
+            });
+            return true;
+        } finally {
+            this.compacting.delete(threadId);
+        }
+    }
+
+    // Stream from the first provider in the chain. A stream that dies before the
+    // first token falls back along the rest of the chain; one that dies midway
+    // keeps what was already shown.
+    async streamWithFallback(chain, prompt, context, onToken) {
+        const [provider, ...rest] = chain;
+        if (!this.router.acquire(provider)) {
+            return await this.router.route(chain, prompt, context);
+        }
+        
+        const timeout = this.router.timeoutFor(provider);
+        const started = Date.now();
+        let received = '';
+        
+        try {
+            const result = await this.streamingProviders[provider](prompt, { ...context, timeout }, (delta, text) => {
+                received = text;
+                onToken(delta, text);
+            });
+            
+            if (!result.blocked && !result.response) {
+                throw new Error(`${provider} streamed an empty response`);
+            }
+            
+            this.router.recordSuccess(provider, Date.now() - started);
+            return result;
+        } catch (error) {
+            this.router.recordFailure(provider, error, Date.now() - started);
+            
+            if (!received.trim()) {
+                return await this.router.route(rest, prompt, context);
+            }
+            
+            return {
+                success: true,
+                response: `${received.trim()} …`,
+                provider: 'stream-interrupted',
+                streamed: true,
+                partial: true,
+                error: error.message
             };
         }
     }
 
-    // Fallback responses
-    fallbackResponse(prompt) {
-        const responses = [
-            `I understand you said: "${prompt.substring(0, 50)}..."`,
-            `Processing your message...`,
-            `Thanks for your message! How can I assist you further?`,
-            `I heard: "${prompt.substring(0, 30)}" - could you elaborate?`,
-            `That's interesting! Tell me more.`,
-            `I'm here to help! What else would you like to know?`,
-            `Got it! Is there anything specific you'd like me to help with?`
-        ];
+    supportsStreaming(provider) {
+        return !!this.streamingProviders[provider];
+    }
+
+    // Ordered provider chain for a chat: the chosen provider, then the chat's own
+    // fallback list (group or private chat settings), then the configured default
+    getChain(userId, groupId = null, preferred = config.AI_PROVIDER) {
+        const chatSettings = groupId ? settings.getGroupSettings(groupId) : settings.getUserSettings(userId);
+        const fallbacks = chatSettings.aiChain || config.AI_FALLBACK_CHAIN || ['megan-base', 'megan-fast'];
         
-        return responses[Math.floor(Math.random() * responses.length)];
+        const chain = this.router.chainFor(preferred, fallbacks);
+        return chain.length > 0 ? chain : this.router.chainFor('megan-fast');
+    }
+
+    // Said when every provider in the chain failed or is circuit-broken
+    unavailableMessage() {
+        return config.AI_UNAVAILABLE_MESSAGE ||
+            "⚠️ The AI assistant is unavailable right now. Please try again in a few minutes.";
     }
 
-    // Clear user history
-    clearHistory(userId) {
-        this.history.delete(userId);
-        this.contexts.delete(userId);
-        return true;
+    // Clear user history for one chat (the DM when groupId is null)
+    async clearHistory(userId, groupId = null) {
+        const threadId = this.threadId(userId, groupId);
+        this.history.delete(threadId);
+        this.contexts.delete(threadId);
+        return await this.store.clearThread(threadId);
+    }
+
+    // Clear every thread a user has, DM and groups
+    async clearAllHistory(userId) {
+        for (const threadId of [...this.history.keys(), ...this.contexts.keys()]) {
+            if (this.parseThreadId(threadId).userId === userId) {
+                this.history.delete(threadId);
+                this.contexts.delete(threadId);
+            }
+        }
+        return await this.store.clearUser(userId);
     }
 
     // Get chatbot stats
@@ -275,9 +895,47 @@ class Chatbot {
         return {
             activeUsers: this.contexts.size,
             totalHistory: Array.from(this.history.values()).reduce((sum, hist) => sum + hist.length, 0),
-            providers: Object.keys(this.providers)
+            historyDepth: this.maxHistory,
+            historyExpiryHours: this.historyExpiry / (60 * 60 * 1000),
+            providers: Object.keys(this.providers),
+            router: this.router.getStats()
         };
     }
 }
 
+// Read a text/event-stream body, calling onData with each `data:` payload.
+// Returning false from onData stops reading.
+function readSSE(stream, onData) {
+    return new Promise((resolve, reject) => {
+        let buffer = '';
+        let done = false;
+        
+        const finish = (error) => {
+            if (done) return;
+            done = true;
+            stream.destroy?.();
+            error ? reject(error) : resolve();
+        };
+        
+        stream.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+                
+                try {
+                    if (onData(line.slice(5).trim()) === false) return finish();
+                } catch (error) {
+                    return finish(error);
+                }
+            }
+        });
+        
+        stream.on('end', () => finish());
+        stream.on('error', finish);
+    });
+}
+
 module.exports = Chatbot;
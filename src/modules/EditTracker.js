@@ -0,0 +1,88 @@
+// src/modules/EditTracker.js - Keep every version of edited messages
+// Baileys: protocolMessage.type MESSAGE_EDIT
+const PROTOCOL_EDIT = 14;
+
+class EditTracker {
+    constructor(bot) {
+        this.bot = bot;
+        this.config = bot.config;
+    }
+
+    // Edits arrive as a protocolMessage, sometimes wrapped in editedMessage
+    getEditProtocol(message) {
+        const protocol = message?.protocolMessage || message?.editedMessage?.message?.protocolMessage;
+        if (!protocol) return null;
+        return protocol.type === PROTOCOL_EDIT || protocol.type === 'MESSAGE_EDIT' ? protocol : null;
+    }
+
+    isEdit(msg) {
+        return !!this.getEditProtocol(msg.message);
+    }
+
+    extractText(content = {}) {
+        return content.conversation ||
+            content.extendedTextMessage?.text ||
+            content.imageMessage?.caption ||
+            content.videoMessage?.caption ||
+            content.documentMessage?.caption ||
+            '';
+    }
+
+    async handleUpsert(msg) {
+        const protocol = this.getEditProtocol(msg.message);
+
+        await this.handleEdit({
+            chatId: protocol.key?.remoteJid || msg.key.remoteJid,
+            messageId: protocol.key?.id,
+            newText: this.extractText(protocol.editedMessage),
+            editedAt: Number(protocol.timestampMs) || Number(msg.messageTimestamp) * 1000 || Date.now()
+        });
+    }
+
+    // messages.update can carry the edit instead of (or as well as) an upsert
+    async handleUpdates(updates) {
+        for (const { key, update } of updates) {
+            const protocol = this.getEditProtocol(update?.message);
+            if (!protocol) continue;
+
+            await this.handleEdit({
+                chatId: protocol.key?.remoteJid || key.remoteJid,
+                messageId: protocol.key?.id || key.id,
+                newText: this.extractText(protocol.editedMessage),
+                editedAt: Number(protocol.timestampMs) || Date.now()
+            });
+        }
+    }
+
+    async handleEdit({ chatId, messageId, newText, editedAt }) {
+        if (!chatId || !messageId) return null;
+
+        // recordEdit ignores repeats (same text), so a double delivery stores one revision
+        const revision = await this.bot.messageCache.recordEdit({ messageId, chatId, newText, editedAt });
+        if (!revision) return null;
+
+        this.bot.logger.info(`✏️ Message ${messageId} edited (v${revision.version})`, 'EDITS');
+
+        if (chatId.endsWith('@g.us') && this.bot.settings.getGroupSettings(chatId).announceEdits) {
+            await this.announce(chatId, messageId, revision, newText).catch(error =>
+                this.bot.logger.warning(`Edit announcement failed: ${error.message}`, 'EDITS'));
+        }
+
+        return revision;
+    }
+
+    // Moderated groups: say what changed, quoting the edited message
+    async announce(chatId, messageId, { senderId, previous }, newText) {
+        const number = senderId.split('@')[0].split(':')[0];
+        const clip = text => (text || '(empty)').length > 300 ? text.slice(0, 300) + '…' : (text || '(empty)');
+
+        let text = `✏️ @${number} edited a message\n\n`;
+        text += `*Before:* ${clip(previous)}\n`;
+        text += `*After:* ${clip(newText)}`;
+
+        const quoted = { key: { remoteJid: chatId, id: messageId, participant: senderId }, message: { conversation: newText } };
+        await this.bot.sendMessage(chatId, { text, mentions: [senderId] }, { quoted });
+    }
+}
+
+module.exports = EditTracker;
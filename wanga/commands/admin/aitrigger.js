@@ -0,0 +1,95 @@
+// wanga/commands/admin/aitrigger.js - When the chatbot answers in this group
+const TriggerPolicy = require('../../../src/chatbot/TriggerPolicy');
+
+function describe(trigger, prefix) {
+    let text = `🎯 *AI TRIGGER*\n\n`;
+    text += `The bot answers: ${trigger.modes.map(mode => TriggerPolicy.MODES[mode]).join(', or ')}\n`;
+
+    if (trigger.modes.includes('keywords')) {
+        text += `🔑 *Keywords:* ${trigger.keywords.length > 0 ? trigger.keywords.join(', ') : '(none set)'}\n`;
+    }
+    if (trigger.modes.includes('sample')) {
+        text += `🎲 *Sample rate:* ${Math.round(trigger.sampleRate * 100)}%\n`;
+    }
+
+    text += `\n💡 ${prefix}aitrigger mode mention,reply • ${prefix}aitrigger keywords <words> • ${prefix}aitrigger sample 10`;
+    return text;
+}
+
+async function save(ctx, patch, summary) {
+    const { bot, msg, from, prefix } = ctx;
+    const current = bot.settings.getGroupSettings(from).aiTrigger || {};
+
+    await bot.settings.updateGroupSettings(from, { aiTrigger: patch ? { ...current, ...patch } : null });
+
+    const trigger = bot.triggerPolicy.resolve(bot.settings.getGroupSettings(from).aiTrigger);
+    await bot.sendMessage(from, { text: `✅ ${summary}\n\n${describe(trigger, prefix)}` }, { quoted: msg });
+    return `AI trigger updated (${from})`;
+}
+
+module.exports = {
+    description: 'Choose when the AI chatbot replies in this group',
+    aliases: ['aimode'],
+    examples: ['.aitrigger', '.aitrigger mode mention,reply', '.aitrigger keywords megan, bot help', '.aitrigger sample 5'],
+
+    async execute({ bot, msg, from, prefix }) {
+        const trigger = bot.triggerPolicy.resolve(bot.settings.getGroupSettings(from).aiTrigger);
+        await bot.sendMessage(from, { text: describe(trigger, prefix) }, { quoted: msg });
+        return 'Showed AI trigger';
+    },
+
+    subcommands: {
+        mode: {
+            description: `Set one or more modes: ${Object.keys(TriggerPolicy.MODES).join(', ')}`,
+            args: [
+                { name: 'modes', type: 'string', required: true, description: 'Modes separated by commas' }
+            ],
+
+            async execute(ctx) {
+                const modes = ctx.params.modes.toLowerCase().split(',').map(m => m.trim()).filter(Boolean);
+                const unknown = modes.filter(mode => !TriggerPolicy.MODES[mode]);
+
+                if (modes.length === 0 || unknown.length > 0) {
+                    await ctx.bot.sendMessage(ctx.from, {
+                        text: `❌ Unknown mode: ${unknown.join(', ') || '(none)'}\n\nValid: ${Object.keys(TriggerPolicy.MODES).join(', ')}`
+                    }, { quoted: ctx.msg });
+                    return 'Invalid trigger mode';
+                }
+
+                return save(ctx, { modes }, 'Trigger mode updated.');
+            }
+        },
+
+        keywords: {
+            description: 'Set the keywords for keyword mode (comma separated)',
+            aliases: ['keyword'],
+            args: [
+                { name: 'words', type: 'rest', required: true, description: 'Words or phrases separated by commas' }
+            ],
+
+            async execute(ctx) {
+                const keywords = ctx.params.words.split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+                return save(ctx, { keywords }, `Keywords set: ${keywords.join(', ')}`);
+            }
+        },
+
+        sample: {
+            description: 'Set the share of messages answered in sample mode',
+            args: [
+                { name: 'percent', type: 'number', required: true, min: 1, max: 100, description: '1-100' }
+            ],
+
+            async execute(ctx) {
+                return save(ctx, { sampleRate: ctx.params.percent / 100 }, `Sample rate set to ${ctx.params.percent}%.`);
+            }
+        },
+
+        reset: {
+            description: 'Back to the default trigger',
+
+            async execute(ctx) {
+                return save(ctx, null, 'Trigger reset to the default.');
+            }
+        }
+    }
+};
@@ -0,0 +1,64 @@
+// wanga/commands/owner/aichain.js - Per-chat AI fallback chain and provider health
+module.exports = {
+    description: 'Show provider health or set the AI fallback chain for this chat',
+    aliases: ['aiproviders'],
+    args: [
+        { name: 'providers', type: 'string', required: false, description: 'Providers in order, separated by commas, or "reset"' }
+    ],
+    flags: [
+        { name: 'reset-circuits', type: 'boolean', description: 'Re-enable every provider tripped by the circuit breaker' }
+    ],
+    examples: ['.aichain', '.aichain openai,gemini,megan-fast', '.aichain reset', '.aichain --reset-circuits'],
+
+    async execute({ bot, msg, from, isGroup, params, flags, config }) {
+        const chatbot = bot.chatbot;
+        const groupId = isGroup ? from : null;
+        const update = patch => isGroup
+            ? bot.settings.updateGroupSettings(from, patch)
+            : bot.settings.updateUserSettings(from, patch);
+
+        if (flags['reset-circuits']) {
+            chatbot.router.reset();
+            await bot.sendMessage(from, { text: '✅ All AI providers re-enabled.' }, { quoted: msg });
+            return 'Circuits reset';
+        }
+
+        if (params.providers) {
+            const reset = params.providers.toLowerCase() === 'reset';
+            const chain = reset ? [] : params.providers.split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+            const unknown = chain.filter(name => !chatbot.providers[name]);
+
+            if (unknown.length > 0) {
+                await bot.sendMessage(from, {
+                    text: `❌ Unknown provider: ${unknown.join(', ')}\n\nAvailable: ${Object.keys(chatbot.providers).join(', ')}`
+                }, { quoted: msg });
+                return 'Invalid chain';
+            }
+
+            await update({ aiChain: reset ? null : chain });
+        }
+
+        const chain = chatbot.getChain(from, groupId, chatbot.getPersona(from, groupId).provider || config.AI_PROVIDER);
+        const stats = chatbot.router.getStats();
+
+        let text = `🔗 *AI CHAIN${isGroup ? ' (this group)' : ''}*\n\n`;
+        text += chain.map((name, i) => `${i + 1}. ${name}`).join('\n') + '\n\n';
+        text += `🩺 *Provider health:*\n`;
+
+        for (const name of Object.keys(chatbot.providers)) {
+            const s = stats[name];
+            if (!s) {
+                text += `• ${name}: no calls yet\n`;
+                continue;
+            }
+
+            const state = s.state === 'open' ? `⛔ off for ${Math.ceil(s.reopensIn / 1000)}s` : s.state === 'half-open' ? '🟡 retrying' : '🟢 ok';
+            text += `• ${name}: ${state} — ${s.calls} calls, ${s.errorRate}% errors, ${s.avgLatency}ms avg`;
+            if (s.timeouts) text += `, ${s.timeouts} timeouts`;
+            text += '\n';
+        }
+
+        await bot.sendMessage(from, { text: text.trimEnd() }, { quoted: msg });
+        return params.providers ? `AI chain updated (${from})` : 'Showed AI chain';
+    }
+};
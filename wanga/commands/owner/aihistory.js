@@ -0,0 +1,60 @@
+// wanga/commands/owner/aihistory.js - Inspect or export one user's AI conversations
+module.exports = {
+    description: "Show or export a user's stored AI conversations",
+    aliases: ['chathistory'],
+    args: [
+        { name: 'user', type: 'mention', required: true, description: '@mention, number, or reply to their message' }
+    ],
+    flags: [
+        { name: 'export', type: 'boolean', description: 'Send the full history as a JSON file' }
+    ],
+    examples: ['.aihistory @254712345678', '.aihistory 254712345678 --export'],
+
+    async execute({ bot, msg, from, params, flags }) {
+        const store = bot.chatbot.store;
+        const userId = params.user;
+        const number = userId.split('@')[0];
+
+        if (flags.export) {
+            const threads = await store.exportUser(userId);
+            const data = JSON.stringify({ userId, exportedAt: new Date().toISOString(), threads }, null, 2);
+
+            await bot.sendMessage(from, {
+                document: Buffer.from(data, 'utf8'),
+                mimetype: 'application/json',
+                fileName: `ai-history-${number}.json`,
+                caption: `🗂️ AI history for ${number} (${Object.keys(threads).length} threads)`
+            }, { quoted: msg });
+            return `Exported AI history for ${number}`;
+        }
+
+        const threads = await store.getUserThreads(userId);
+        if (threads.length === 0) {
+            await bot.sendMessage(from, { text: `📭 No stored AI conversations for ${number}.` }, { quoted: msg });
+            return 'No history';
+        }
+
+        let text = `🧠 *AI HISTORY: ${number}*\n\n`;
+
+        for (const thread of threads.slice(0, 5)) {
+            const where = thread.chatId === userId ? 'Private chat' : thread.chatId.split('@')[0];
+            text += `*${where}* — ${thread.turns} turns, last ${new Date(thread.lastActive).toLocaleString()}\n`;
+
+            const history = await store.getHistory(thread.threadId, 4);
+            for (const entry of history) {
+                const who = entry.role === 'assistant' ? '🤖' : '👤';
+                const line = entry.message.replace(/\s+/g, ' ');
+                text += `${who} ${line.length > 120 ? line.slice(0, 120) + '…' : line}\n`;
+            }
+            text += '\n';
+        }
+
+        if (threads.length > 5) {
+            text += `…and ${threads.length - 5} more threads.\n`;
+        }
+        text += `💾 Full export: ${bot.commandHandler.getPrefix(from, from.endsWith('@g.us'))}aihistory ${number} --export`;
+
+        await bot.sendMessage(from, { text }, { quoted: msg });
+        return `Showed AI history for ${number}`;
+    }
+};
@@ -0,0 +1,55 @@
+// wanga/commands/owner/antidelete.js - Repost deleted messages in this chat
+const TARGETS = {
+    chat: 'back into this chat',
+    owner: "to the owner's DM",
+    log: 'to the log group'
+};
+
+module.exports = {
+    description: 'Turn anti-delete on or off for this chat and choose where deleted messages go',
+    aliases: ['antidel'],
+    args: [
+        { name: 'state', type: 'enum', choices: ['on', 'off'] },
+        { name: 'target', type: 'enum', choices: Object.keys(TARGETS) },
+        { name: 'logGroup', type: 'string', description: 'Group JID to log into (target "log"; defaults to ANTI_DELETE_LOG_GROUP)' }
+    ],
+    examples: ['.antidelete', '.antidelete on', '.antidelete on owner', '.antidelete on log 120363000000000000@g.us', '.antidelete off'],
+
+    async execute({ bot, msg, from, isGroup, params, prefix }) {
+        const antiDelete = bot.antiDelete;
+
+        if (params.state) {
+            const current = (isGroup ? bot.settings.getGroupSettings(from) : bot.settings.getUserSettings(from)).antiDelete || {};
+            const patch = { ...current, enabled: params.state === 'on' };
+            if (params.target) patch.target = params.target;
+
+            if (params.logGroup && !/^[\d-]+@g\.us$/.test(params.logGroup)) {
+                await bot.sendMessage(from, { text: '❌ The log group must be a group JID like 1203...@g.us' }, { quoted: msg });
+                return 'Invalid log group';
+            }
+
+            if (params.logGroup) patch.logGroup = params.logGroup;
+
+            const settings = { ...antiDelete.getSettings(from), ...patch };
+            if (settings.enabled && settings.target === 'log' && !settings.logGroup) {
+                await bot.sendMessage(from, {
+                    text: `❌ No log group set. Add a group JID, or set ANTI_DELETE_LOG_GROUP in the config.`
+                }, { quoted: msg });
+                return 'Missing log group';
+            }
+
+            const update = { antiDelete: patch };
+            await (isGroup ? bot.settings.updateGroupSettings(from, update) : bot.settings.updateUserSettings(from, update));
+        }
+
+        const settings = antiDelete.getSettings(from);
+        let text = `🗑️ *ANTI-DELETE*\n\n`;
+        text += `Status: ${settings.enabled ? '🟢 on' : '⚪ off'}\n`;
+        text += `Deleted messages go ${TARGETS[settings.target] || TARGETS.chat}`;
+        if (settings.target === 'log') text += ` (${settings.logGroup || 'not set'})`;
+        text += `\n\n💡 ${prefix}antidelete <on|off> [chat|owner|log] [group jid]`;
+
+        await bot.sendMessage(from, { text }, { quoted: msg });
+        return params.state ? `Anti-delete ${params.state} (${from})` : 'Showed anti-delete';
+    }
+};
@@ -0,0 +1,72 @@
+// wanga/commands/owner/cmdstats.js - Command usage analytics from the message database
+const UNITS = [['d', 24 * 60 * 60 * 1000], ['h', 60 * 60 * 1000], ['m', 60 * 1000]];
+
+// The parsed window back as a label, e.g. 7 days -> "7d"
+function formatWindow(ms) {
+    const [unit, size] = UNITS.find(([, size]) => ms % size === 0) || ['s', 1000];
+    return `${Math.round(ms / size)}${unit}`;
+}
+
+module.exports = {
+    description: 'Show command usage, error rates and slowest commands',
+    aliases: ['commandstats'],
+    args: [
+        { name: 'window', type: 'duration', default: 24 * 60 * 60 * 1000, description: 'Time window, e.g. 1h, 7d (default 24h)' }
+    ],
+    flags: [
+        { name: 'here', type: 'boolean', description: 'Only count commands used in this chat' }
+    ],
+    examples: ['.cmdstats', '.cmdstats 7d', '.cmdstats 1h --here'],
+
+    async execute({ bot, msg, from, params, flags }) {
+        const since = Date.now() - params.window;
+        const chatId = flags.here ? from : null;
+        const stats = await bot.messageCache.getCommandStats({ since, chatId, limit: 5 });
+        const label = formatWindow(params.window);
+
+        let text = `📊 *COMMAND STATS* (last ${label}${chatId ? ', this chat' : ''})\n\n`;
+
+        if (stats.total === 0) {
+            text += 'No commands recorded in this window.';
+            await bot.sendMessage(from, { text }, { quoted: msg });
+            return 'No usage data';
+        }
+
+        const rate = (errors, uses) => `${((errors / uses) * 100).toFixed(1)}%`;
+
+        text += `⌨️ *Invocations:* ${stats.total}\n`;
+        text += `👤 *Users:* ${stats.users}\n`;
+        text += `❌ *Errors:* ${stats.errors} (${rate(stats.errors, stats.total)})\n`;
+        text += `⛔ *Denied/limited:* ${stats.denied}\n\n`;
+
+        text += `🏆 *Top commands:*\n`;
+        stats.topCommands.forEach((row, i) => {
+            text += `${i + 1}. ${row.command} — ${row.uses}\n`;
+        });
+
+        if (stats.errorRates.length > 0) {
+            text += `\n⚠️ *Error rates:*\n`;
+            stats.errorRates.forEach(row => {
+                text += `• ${row.command} — ${rate(row.errors, row.uses)} (${row.errors}/${row.uses})\n`;
+            });
+        }
+
+        if (stats.slowest.length > 0) {
+            text += `\n🐢 *Slowest (avg / max):*\n`;
+            stats.slowest.forEach(row => {
+                text += `• ${row.command} — ${Math.round(row.avgMs)}ms / ${row.maxMs}ms\n`;
+            });
+        }
+
+        if (!chatId && stats.perGroup.length > 0) {
+            text += `\n👥 *Busiest groups:*\n`;
+            for (const row of stats.perGroup) {
+                const metadata = await bot.groupCache?.getGroupMetadata(row.chatId);
+                text += `• ${metadata?.subject || row.chatId.split('@')[0]} — ${row.uses} (${row.users} users)\n`;
+            }
+        }
+
+        await bot.sendMessage(from, { text: text.trimEnd() }, { quoted: msg });
+        return `Command stats (${label})`;
+    }
+};
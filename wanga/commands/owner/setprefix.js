@@ -0,0 +1,41 @@
+// wanga/commands/owner/setprefix.js - Change the command prefix at runtime
+module.exports = {
+    description: 'Set the command prefix for this group (or globally with --global)',
+    aliases: ['prefix'],
+    args: [
+        { name: 'prefixes', type: 'string', required: true, description: 'New prefix, several separated by commas, or "reset"' }
+    ],
+    flags: [
+        { name: 'global', type: 'boolean', description: 'Change the default prefix for every chat' }
+    ],
+
+    async execute({ bot, msg, from, isGroup, params, flags, config }) {
+        const handler = bot.commandHandler;
+        const global = flags.global === true || !isGroup;
+        const reset = params.prefixes.toLowerCase() === 'reset';
+
+        const prefixes = reset ? [] : params.prefixes
+            .split(',')
+            .map(p => p.trim())
+            .filter(Boolean);
+
+        if (!reset && (prefixes.length === 0 || prefixes.some(p => p.length > 3 || /\s/.test(p)))) {
+            await bot.sendMessage(from, { text: '❌ Prefixes must be 1-3 characters without spaces.' }, { quoted: msg });
+            return 'Invalid prefix';
+        }
+
+        let text;
+        if (global) {
+            config.PREFIXES = reset ? [handler.basePrefix] : prefixes;
+            text = `✅ Default prefix set to: ${config.PREFIXES.join(' ')}\n_Runtime only, resets on restart._`;
+        } else {
+            await bot.settings.updateGroupSettings(from, { prefix: reset ? null : prefixes });
+            text = reset
+                ? `✅ Group prefix reset to default: ${handler.getPrefixes(null, false).join(' ')}`
+                : `✅ Group prefix set to: ${prefixes.join(' ')}`;
+        }
+
+        await bot.sendMessage(from, { text }, { quoted: msg });
+        return `Prefix updated (${global ? 'global' : from})`;
+    }
+};
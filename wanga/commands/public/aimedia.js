@@ -0,0 +1,59 @@
+// wanga/commands/public/aimedia.js - Which media the AI chatbot handles in this chat
+const MEDIA = {
+    image: '🖼️ Images (sent to a vision-capable provider)',
+    voice: '🎙️ Voice notes (transcribed, then answered)'
+};
+
+function describe(bot, settings, isGroup) {
+    let text = `📎 *AI MEDIA*\n\n`;
+    for (const [type, label] of Object.entries(MEDIA)) {
+        text += `${settings[type] ? '🟢' : '⚪'} ${label}\n`;
+    }
+
+    if (isGroup) {
+        text += `\nℹ️ Off in groups until an admin turns it on.`;
+    }
+    if (!bot.chatbot.transcriber.enabled) {
+        text += `\n⚠️ Voice notes need TRANSCRIBE_URL in the bot config.`;
+    }
+    return text.trimEnd();
+}
+
+module.exports = {
+    description: 'Choose whether the AI answers images and voice notes in this chat',
+    args: [
+        { name: 'type', type: 'enum', choices: Object.keys(MEDIA) },
+        { name: 'state', type: 'enum', choices: ['on', 'off'] }
+    ],
+    examples: ['.aimedia', '.aimedia voice off', '.aimedia image on'],
+
+    async execute({ bot, msg, from, sender, isGroup, params, prefix }) {
+        const groupId = isGroup ? from : null;
+
+        if (!params.type) {
+            const text = describe(bot, bot.chatbot.getMediaSettings(sender, groupId), isGroup) +
+                `\n\n💡 ${prefix}aimedia <image|voice> <on|off>`;
+            await bot.sendMessage(from, { text }, { quoted: msg });
+            return 'Showed AI media settings';
+        }
+
+        if (!params.state) {
+            await bot.sendMessage(from, { text: `❌ Usage: ${prefix}aimedia ${params.type} <on|off>` }, { quoted: msg });
+            return 'Missing state';
+        }
+
+        if (!await bot.commandHandler.groupUtils.canConfigureChat(from, sender)) {
+            await bot.sendMessage(from, { text: '⭐ Only group admins can change AI media settings here.' }, { quoted: msg });
+            return 'AI media change denied';
+        }
+
+        const current = (isGroup ? bot.settings.getGroupSettings(from) : bot.settings.getUserSettings(from)).aiMedia || {};
+        const patch = { aiMedia: { ...current, [params.type]: params.state === 'on' } };
+        await (isGroup ? bot.settings.updateGroupSettings(from, patch) : bot.settings.updateUserSettings(from, patch));
+
+        const text = `✅ ${params.type} ${params.state === 'on' ? 'enabled' : 'disabled'}.\n\n` +
+            describe(bot, bot.chatbot.getMediaSettings(sender, groupId), isGroup);
+        await bot.sendMessage(from, { text }, { quoted: msg });
+        return `AI media updated (${from})`;
+    }
+};
@@ -0,0 +1,104 @@
+// wanga/commands/public/aitools.js - Which commands the AI may run in this chat
+async function denyChange({ bot, from, sender }) {
+    if (await bot.commandHandler.groupUtils.canConfigureChat(from, sender)) return null;
+    return '⭐ Only group admins can change AI tools here.';
+}
+
+function allowedIn({ bot, from, isGroup, config }) {
+    const chatSettings = isGroup ? bot.settings.getGroupSettings(from) : bot.settings.getUserSettings(from);
+    return chatSettings.aiTools || config.AI_TOOLS || [];
+}
+
+async function show(ctx, heading = null) {
+    const { bot, msg, from, prefix } = ctx;
+    const allowed = allowedIn(ctx);
+    const tools = [...bot.commandHandler.listTools().values()].map(command => command.tool);
+
+    let text = heading ? `✅ ${heading}\n\n` : '';
+    text += `🛠️ *AI TOOLS*\n\n`;
+    text += tools.length > 0
+        ? tools.map(tool => `${allowed.includes(tool.name) ? '🟢' : '⚪'} *${tool.name}* - ${tool.description}`).join('\n')
+        : 'No commands are available as tools.';
+    text += `\n\n🟢 allowed here • permission checks still apply per user`;
+    text += `\n💡 ${prefix}aitools allow <names> • ${prefix}aitools deny <names> • ${prefix}aitools reset`;
+
+    await bot.sendMessage(from, { text }, { quoted: msg });
+    return 'Showed AI tools';
+}
+
+async function change(ctx, names, allow) {
+    const { bot, msg, from, isGroup } = ctx;
+
+    const denial = await denyChange(ctx);
+    if (denial) {
+        await bot.sendMessage(from, { text: denial }, { quoted: msg });
+        return 'AI tools change denied';
+    }
+
+    const known = bot.commandHandler.listTools();
+    const requested = names.split(',').map(name => name.trim().toLowerCase().replace(/\s+/g, '_')).filter(Boolean);
+    const unknown = requested.filter(name => !known.has(name));
+
+    if (unknown.length > 0) {
+        await bot.sendMessage(from, {
+            text: `❌ Not a tool: ${unknown.join(', ')}\n\nAvailable: ${[...known.keys()].join(', ') || '(none)'}`
+        }, { quoted: msg });
+        return 'Invalid AI tools';
+    }
+
+    const current = new Set(allowedIn(ctx));
+    requested.forEach(name => allow ? current.add(name) : current.delete(name));
+
+    const patch = { aiTools: [...current] };
+    await (isGroup ? bot.settings.updateGroupSettings(from, patch) : bot.settings.updateUserSettings(from, patch));
+
+    return show(ctx, `${allow ? 'Allowed' : 'Removed'}: ${requested.join(', ')}`);
+}
+
+module.exports = {
+    description: 'Choose which commands the AI can run for you in this chat',
+    examples: ['.aitools', '.aitools allow help,forget', '.aitools deny forget', '.aitools reset'],
+
+    async execute(ctx) {
+        return show(ctx);
+    },
+
+    subcommands: {
+        allow: {
+            description: 'Let the AI run these commands (comma separated)',
+            args: [{ name: 'tools', type: 'rest', required: true }],
+
+            async execute(ctx) {
+                return change(ctx, ctx.params.tools, true);
+            }
+        },
+
+        deny: {
+            description: 'Stop the AI running these commands',
+            aliases: ['remove'],
+            args: [{ name: 'tools', type: 'rest', required: true }],
+
+            async execute(ctx) {
+                return change(ctx, ctx.params.tools, false);
+            }
+        },
+
+        reset: {
+            description: 'Back to the bot-wide default',
+
+            async execute(ctx) {
+                const denial = await denyChange(ctx);
+                if (denial) {
+                    await ctx.bot.sendMessage(ctx.from, { text: denial }, { quoted: ctx.msg });
+                    return 'AI tools change denied';
+                }
+
+                const patch = { aiTools: null };
+                await (ctx.isGroup
+                    ? ctx.bot.settings.updateGroupSettings(ctx.from, patch)
+                    : ctx.bot.settings.updateUserSettings(ctx.from, patch));
+                return show(ctx, 'AI tools reset to the default.');
+            }
+        }
+    }
+};
@@ -0,0 +1,62 @@
+// wanga/commands/public/edits.js - Show every version of an edited message
+function clip(text) {
+    if (!text) return '_(empty)_';
+    return text.length > 500 ? text.slice(0, 500) + '…' : text;
+}
+
+module.exports = {
+    description: 'Reply to a message to see every previous version of it',
+    aliases: ['history'],
+    usage: '.edits (reply to a message)',
+    examples: ['.edits', '.edits announce on'],
+
+    async execute({ bot, msg, from, prefix }) {
+        const stanzaId = msg.message?.extendedTextMessage?.contextInfo?.stanzaId;
+        if (!stanzaId) {
+            await bot.sendMessage(from, { text: `❌ Reply to a message with ${prefix}edits to see its edit history.` }, { quoted: msg });
+            return 'No message quoted';
+        }
+
+        const versions = await bot.messageCache.getEdits(stanzaId, from);
+        if (versions.length === 0) {
+            await bot.sendMessage(from, { text: '📭 No edits recorded for that message.' }, { quoted: msg });
+            return 'No edit history';
+        }
+
+        const number = versions[0].senderId.split('@')[0].split(':')[0];
+        let text = `✏️ *EDIT HISTORY*\n\n`;
+        text += `👤 @${number} • ${versions.length - 1} edit${versions.length === 2 ? '' : 's'}\n\n`;
+
+        for (const { version, textContent, editedAt } of versions) {
+            const label = version === 0 ? 'Original' : `Edit ${version}`;
+            text += `*${label}* (${new Date(editedAt).toLocaleString()})\n${clip(textContent)}\n\n`;
+        }
+
+        await bot.sendMessage(from, { text: text.trimEnd(), mentions: [versions[0].senderId] }, { quoted: msg });
+        return `Showed ${versions.length} versions`;
+    },
+
+    subcommands: {
+        announce: {
+            description: 'Announce edits in this group with the before and after text',
+            category: 'admin',
+            args: [
+                { name: 'state', type: 'enum', choices: ['on', 'off'] }
+            ],
+
+            async execute({ bot, msg, from, params, prefix }) {
+                if (params.state) {
+                    await bot.settings.updateGroupSettings(from, { announceEdits: params.state === 'on' });
+                }
+
+                const enabled = !!bot.settings.getGroupSettings(from).announceEdits;
+                let text = `✏️ *EDIT ANNOUNCEMENTS*\n\n`;
+                text += `Status: ${enabled ? '🟢 on' : '⚪ off'}\n`;
+                text += `\n💡 ${prefix}edits announce <on|off>`;
+
+                await bot.sendMessage(from, { text }, { quoted: msg });
+                return params.state ? `Edit announcements ${params.state} (${from})` : 'Showed edit announcements';
+            }
+        }
+    }
+};
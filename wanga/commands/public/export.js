@@ -0,0 +1,61 @@
+// wanga/commands/public/export.js - Send this chat's cached messages as a file
+const FORMATS = {
+    txt: 'WhatsApp-style text',
+    json: 'JSON',
+    html: 'standalone web page'
+};
+
+module.exports = {
+    description: "Export this chat's cached messages as a .txt, JSON or HTML document",
+    aliases: ['transcript'],
+    args: [
+        { name: 'format', type: 'enum', choices: Object.keys(FORMATS), default: 'txt' },
+        { name: 'since', type: 'date', description: 'Start: a date like 2024-05-01 or how long ago, e.g. 12h' },
+        { name: 'until', type: 'date', endOfDay: true, description: 'End date (inclusive); defaults to now' }
+    ],
+    examples: ['.export', '.export html', '.export json 7d', '.export txt 2024-05-01 2024-05-07'],
+    cooldown: 30,
+
+    async execute({ bot, msg, from, sender, isGroup, params }) {
+        if (!await bot.commandHandler.groupUtils.canConfigureChat(from, sender)) {
+            await bot.sendMessage(from, { text: '⭐ Only group admins can export this chat.' }, { quoted: msg });
+            return 'Export denied';
+        }
+
+        if (params.since && params.until && params.since > params.until) {
+            await bot.sendMessage(from, { text: '❌ The start of the range is after its end.' }, { quoted: msg });
+            return 'Invalid range';
+        }
+
+        const metadata = isGroup ? await bot.groupCache?.getGroupMetadata(from) : null;
+        const file = await bot.chatExporter.exportChat(from, {
+            format: params.format,
+            since: params.since,
+            until: params.until,
+            title: metadata?.subject || (isGroup ? null : msg.pushName),
+            // Deleted messages only where anti-delete reposts them here anyway
+            includeRevoked: await bot.commandHandler.groupUtils.isOwner(sender) || bot.antiDelete.showsDeleted(from),
+            limit: bot.config.EXPORT_MAX_MESSAGES || 5000
+        });
+
+        if (file.count === 0) {
+            await bot.sendMessage(from, { text: '📭 No cached messages in that range.' }, { quoted: msg });
+            return 'Nothing to export';
+        }
+
+        let caption = `🗂️ ${file.count} message${file.count === 1 ? '' : 's'} (${FORMATS[params.format]})`;
+        if (params.since) caption += `\n📅 From ${new Date(params.since).toLocaleString()}`;
+        if (params.until) caption += `\n📅 Until ${new Date(params.until).toLocaleString()}`;
+        if (file.truncated) {
+            caption += `\n⚠️ Only the newest ${file.count} messages fit; narrow the range with a since/until date for older ones.`;
+        }
+
+        await bot.sendMessage(from, {
+            document: file.buffer,
+            mimetype: file.mimetype,
+            fileName: file.fileName,
+            caption
+        }, { quoted: msg });
+        return `Exported ${file.count} messages as ${params.format}${file.truncated ? ' (truncated)' : ''}`;
+    }
+};
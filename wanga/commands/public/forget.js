@@ -0,0 +1,26 @@
+// wanga/commands/public/forget.js - Clear your AI conversation history
+module.exports = {
+    description: 'Make the AI forget your conversation in this chat (--all for every chat)',
+    aliases: ['resetai', 'clearchat'],
+    args: [],
+    flags: [
+        { name: 'all', type: 'boolean', description: 'Forget every chat, not just this one' }
+    ],
+    examples: ['.forget', '.forget --all'],
+    tool: { description: "Clear the user's AI conversation history in this chat" },
+
+    async execute({ bot, msg, from, sender, isGroup, flags }) {
+        const everywhere = flags.all === true;
+
+        const cleared = everywhere
+            ? await bot.chatbot.clearAllHistory(sender)
+            : await bot.chatbot.clearHistory(sender, isGroup ? from : null);
+
+        const text = cleared
+            ? `🧹 Done! I've forgotten our conversation${everywhere ? ' in every chat' : isGroup ? ' in this group' : ''}.`
+            : '❌ Could not clear the stored history. Please try again.';
+
+        await bot.sendMessage(from, { text }, { quoted: msg });
+        return `History cleared for ${sender.split('@')[0]}${everywhere ? ' (all)' : ''}`;
+    }
+};
@@ -0,0 +1,31 @@
+// wanga/commands/public/help.js - Per-command help pages and command search
+module.exports = {
+    description: 'Show details for a command or search commands',
+    aliases: ['h'],
+    usage: '.help <command>\n.help search <term>',
+    args: [
+        { name: 'topic', type: 'rest', description: 'Command name, or "search <term>"' }
+    ],
+    examples: ['.help kick', '.help search sticker'],
+    tool: { description: 'Look up what a bot command does and how to use it' },
+
+    async execute({ bot, msg, from, sender, isGroup, params }) {
+        const helpMenu = bot.commandHandler.helpMenu;
+        const caller = { from, sender, isGroup };
+        let text;
+
+        // From params, not args: a tool call passes the whole topic as one quoted token
+        const [first, ...rest] = params.topic.trim().split(/\s+/);
+
+        if (!first) {
+            text = await helpMenu.render(caller);
+        } else if (first.toLowerCase() === 'search') {
+            text = await helpMenu.renderSearch(rest.join(' '), caller);
+        } else {
+            text = await helpMenu.renderCommand(params.topic.trim(), caller);
+        }
+
+        await bot.sendMessage(from, { text }, { quoted: msg });
+        return `Help: ${params.topic || 'menu'}`;
+    }
+};
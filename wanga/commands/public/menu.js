@@ -0,0 +1,34 @@
+// wanga/commands/public/menu.js - Paginated command menu
+module.exports = {
+    description: 'List the commands you can use',
+    aliases: ['commands', 'cmds'],
+    args: [
+        { name: 'category', type: 'string', description: 'Category name or page number' },
+        { name: 'page', type: 'number', integer: true, min: 1, description: 'Page number' }
+    ],
+    examples: ['.menu', '.menu 2', '.menu admin', '.menu group 2'],
+
+    async execute({ bot, msg, from, sender, isGroup, params }) {
+        const handler = bot.commandHandler;
+        let category = null;
+        let page = params.page || 1;
+
+        if (params.category) {
+            if (/^\d+$/.test(params.category)) {
+                page = parseInt(params.category, 10);
+            } else {
+                category = handler.helpMenu.findCategory(params.category);
+                if (!category) {
+                    await bot.sendMessage(from, {
+                        text: `❌ Unknown category *${params.category}*. Categories: ${Object.keys(handler.categories).join(', ')}`
+                    }, { quoted: msg });
+                    return 'Unknown category';
+                }
+            }
+        }
+
+        const text = await handler.generateHelpMenu({ from, sender, isGroup, page, category });
+        await bot.sendMessage(from, { text }, { quoted: msg });
+        return `Menu page ${page}${category ? ` (${category})` : ''}`;
+    }
+};
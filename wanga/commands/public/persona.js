@@ -0,0 +1,120 @@
+// wanga/commands/public/persona.js - Show or switch the AI persona of this chat
+const { PERSONAS, LENGTHS, buildSystemPrompt } = require('../../../src/chatbot/personas');
+
+// Field names as typed in the command -> stored persona fields
+const FIELD_NAMES = {
+    name: 'name',
+    prompt: 'systemPrompt',
+    language: 'language',
+    length: 'length',
+    provider: 'provider'
+};
+
+// Group personas are for admins; in private chat it's your own
+async function denyChange({ bot, from, sender }) {
+    if (await bot.commandHandler.groupUtils.canConfigureChat(from, sender)) return null;
+    return '⭐ Only group admins can change the persona here.';
+}
+
+function describe(persona, prefix) {
+    let text = `🎭 *Persona: ${persona.name}*`;
+    if (persona.preset !== 'default') text += ` (${persona.preset})`;
+    text += '\n\n';
+
+    text += `📝 *Prompt:* ${buildSystemPrompt(persona)}\n`;
+    text += `🌐 *Language:* ${persona.language || 'same as the user'}\n`;
+    text += `📏 *Length:* ${persona.length}\n`;
+    text += `🤖 *Provider:* ${persona.provider || 'default'}\n\n`;
+    text += `💡 ${prefix}persona list • ${prefix}persona use <name> • ${prefix}persona set <field> <value>`;
+
+    return text;
+}
+
+async function change(ctx, patch, summary) {
+    const { bot, msg, from, sender, isGroup, prefix } = ctx;
+
+    const denial = await denyChange(ctx);
+    if (denial) {
+        await bot.sendMessage(from, { text: denial }, { quoted: msg });
+        return 'Persona change denied';
+    }
+
+    let persona;
+    try {
+        persona = await bot.chatbot.setPersona(sender, isGroup ? from : null, patch);
+    } catch (error) {
+        await bot.sendMessage(from, { text: `❌ ${error.message}` }, { quoted: msg });
+        return 'Invalid persona change';
+    }
+
+    await bot.sendMessage(from, { text: `✅ ${summary}\n\n${describe(persona, prefix)}` }, { quoted: msg });
+    return `Persona updated (${isGroup ? from : sender.split('@')[0]})`;
+}
+
+module.exports = {
+    description: 'Show or switch the AI persona for this chat',
+    aliases: ['personality'],
+    examples: ['.persona', '.persona use tutor', '.persona set language Swahili', '.persona reset'],
+
+    async execute({ bot, msg, from, sender, isGroup, prefix }) {
+        const persona = bot.chatbot.getPersona(sender, isGroup ? from : null);
+        await bot.sendMessage(from, { text: describe(persona, prefix) }, { quoted: msg });
+        return `Showed persona ${persona.name}`;
+    },
+
+    subcommands: {
+        list: {
+            description: 'List the built-in personas',
+            aliases: ['ls'],
+
+            async execute({ bot, msg, from, prefix }) {
+                let text = '🎭 *BUILT-IN PERSONAS*\n\n';
+                for (const [key, persona] of Object.entries(PERSONAS)) {
+                    text += `• *${key}* - ${persona.description}\n`;
+                }
+                text += `\n💡 ${prefix}persona use <name>`;
+
+                await bot.sendMessage(from, { text }, { quoted: msg });
+                return 'Listed personas';
+            }
+        },
+
+        use: {
+            description: 'Switch to a built-in persona',
+            aliases: ['switch'],
+            tool: true,
+            args: [
+                { name: 'persona', type: 'enum', required: true, choices: Object.keys(PERSONAS) }
+            ],
+
+            async execute(ctx) {
+                const preset = ctx.params.persona;
+                return change(ctx, preset === 'default' ? null : { preset }, `Switched to the *${preset}* persona.`);
+            }
+        },
+
+        set: {
+            description: 'Override one field of the current persona',
+            args: [
+                { name: 'field', type: 'enum', required: true, choices: Object.keys(FIELD_NAMES) },
+                { name: 'value', type: 'rest', required: true, description: `Text, or for length: ${Object.keys(LENGTHS).join('|')}` }
+            ],
+
+            async execute(ctx) {
+                const { field, value } = ctx.params;
+                const stored = FIELD_NAMES[field];
+                const normalized = ['length', 'provider'].includes(stored) ? value.trim().toLowerCase() : value.trim();
+
+                return change(ctx, { [stored]: normalized }, `Persona ${field} updated.`);
+            }
+        },
+
+        reset: {
+            description: 'Go back to the default assistant',
+
+            async execute(ctx) {
+                return change(ctx, null, 'Persona reset to the default assistant.');
+            }
+        }
+    }
+};
@@ -0,0 +1,128 @@
+// wanga/commands/public/search.js - Full-text search over cached messages
+const PAGE_SIZE = 8;
+const TYPES = {
+    text: '💬',
+    image: '🖼️',
+    video: '🎬',
+    audio: '🎵',
+    document: '📄',
+    sticker: '🏷️'
+};
+
+function describeFilters(filters, allChats) {
+    const parts = [];
+    if (allChats) parts.push('all chats');
+    if (filters.senderId) parts.push(`from @${filters.senderId.split('@')[0].split(':')[0]}`);
+    if (filters.since) parts.push(`since ${new Date(filters.since).toLocaleDateString()}`);
+    if (filters.until) parts.push(`until ${new Date(filters.until).toLocaleDateString()}`);
+    if (filters.type) parts.push(`${filters.type} only`);
+    return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+module.exports = {
+    description: 'Search cached messages in this chat by words, sender, date and type',
+    aliases: ['find'],
+    args: [
+        { name: 'terms', type: 'rest', required: true, description: 'Words to find (word* matches a prefix)' }
+    ],
+    flags: [
+        { name: 'from', type: 'mention', description: 'Only messages from this person' },
+        { name: 'since', type: 'date', description: 'Start: a date like 2024-05-01 or how long ago, e.g. 7d' },
+        { name: 'until', type: 'date', endOfDay: true, description: 'End date (inclusive)' },
+        { name: 'type', type: 'enum', choices: Object.keys(TYPES) },
+        { name: 'page', type: 'number', integer: true, min: 1, default: 1 },
+        { name: 'jump', type: 'number', integer: true, min: 1, description: 'Jump to result number n' },
+        { name: 'all', type: 'boolean', description: 'Search every chat (owner only)' }
+    ],
+    examples: ['.search invoice', '.search meet* --from @254700000000', '.search photo --type image --since 2d', '.search invoice --jump 3', '.search backup --all'],
+    cooldown: 3,
+
+    async execute({ bot, msg, from, sender, params, flags }) {
+        const fail = async (text) => {
+            await bot.sendMessage(from, { text: `❌ ${text}` }, { quoted: msg });
+            return 'Invalid search';
+        };
+
+        // --all searches every chat, owner only
+        const allChats = !!flags.all;
+        if (allChats && !await bot.commandHandler.groupUtils.isOwner(sender)) {
+            return fail('Only the bot owner can search across all chats.');
+        }
+
+        // Messages deleted for everyone stay hidden unless anti-delete reposts them here anyway
+        const includeRevoked = allChats || await bot.commandHandler.groupUtils.isOwner(sender) || bot.antiDelete.showsDeleted(from);
+
+        const filters = {
+            query: params.terms,
+            chatId: allChats ? null : from,
+            senderId: flags.from,
+            since: flags.since,
+            until: flags.until,
+            type: flags.type,
+            includeRevoked
+        };
+
+        // Jump: send the nth hit back, quoted, so tapping the quote scrolls to it
+        if (flags.jump) {
+            const n = flags.jump;
+            const { results: [hit] } = await bot.messageCache.searchMessages({ ...filters, limit: 1, offset: n - 1 });
+            if (!hit) return fail(`There is no result #${n}.`);
+
+            const cached = await bot.messageCache.getMessage(hit.id, hit.chatId);
+            const when = new Date(hit.timestamp).toLocaleString();
+
+            if (hit.chatId === from && cached?.message) {
+                await bot.sendMessage(from, { text: `🔗 Result #${n} • ${when}` }, { quoted: cached.message });
+            } else {
+                const metadata = hit.chatId.endsWith('@g.us') ? await bot.groupCache?.getGroupMetadata(hit.chatId) : null;
+                const chat = metadata?.subject || hit.chatId.split('@')[0];
+                await bot.sendMessage(from, {
+                    text: `🔗 Result #${n} • ${chat} • ${when}\n👤 ${hit.senderName || hit.senderId.split('@')[0]}\n\n${cached?.textContent || hit.snippet}`
+                }, { quoted: msg });
+            }
+            return `Jumped to result ${n}`;
+        }
+
+        const page = flags.page;
+
+        const { total, results } = await bot.messageCache.searchMessages({
+            ...filters,
+            limit: PAGE_SIZE,
+            offset: (page - 1) * PAGE_SIZE
+        });
+
+        const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+        let text = `🔎 *SEARCH:* ${params.terms}${describeFilters(filters, allChats)}\n`;
+
+        if (total === 0) {
+            text += '\nNo matching messages in the cache.';
+            await bot.sendMessage(from, { text }, { quoted: msg });
+            return 'No search results';
+        }
+
+        if (results.length === 0) {
+            return fail(`Page ${page} is past the end; there ${pages === 1 ? 'is 1 page' : `are ${pages} pages`}.`);
+        }
+
+        text += `${total} result${total === 1 ? '' : 's'} • page ${page}/${pages}\n\n`;
+
+        for (const [i, hit] of results.entries()) {
+            const number = (page - 1) * PAGE_SIZE + i + 1;
+            const name = hit.senderName && hit.senderName !== 'Unknown' ? hit.senderName : hit.senderId.split('@')[0];
+            let chat = '';
+            if (allChats) {
+                const metadata = hit.chatId.endsWith('@g.us') ? await bot.groupCache?.getGroupMetadata(hit.chatId) : null;
+                chat = ` • ${metadata?.subject || hit.chatId.split('@')[0]}`;
+            }
+
+            text += `*${number}.* ${TYPES[hit.messageType] || '💬'} ${name}${chat} • ${new Date(hit.timestamp).toLocaleString()}${hit.revokedAt ? ' • 🗑️ deleted' : ''}\n`;
+            text += `${hit.snippet}\n\n`;
+        }
+
+        if (page < pages) text += `➡️ Add --page ${page + 1} for more\n`;
+        text += `🔗 Add --jump <number> to jump to a message`;
+
+        await bot.sendMessage(from, { text }, { quoted: msg });
+        return `Search: ${total} results`;
+    }
+};